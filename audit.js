@@ -0,0 +1,150 @@
+/**
+ * @typedef {Object} AuditReport
+ * @property {HTMLElement} element - The text-fit element.
+ * @property {string} selector - A css selector path to the element. Shadow root boundaries are joined with ` >>> `.
+ * @property {string|null} constraint - The first constraint that failed or null if the content fits.
+ * @property {number|null} lineCount - The number of lines that were counted while fitting, or null if they weren't counted.
+ * @property {number} fontSize - The font size that fitting settled on.
+ * @property {string} fontUnit - The unit of the font size.
+ * @property {Object<string, string>} fitProperties - The values chosen for the other properties in `fit-properties`.
+ * @property {Object|null} overflowDetails - The element's overflowDetails.
+ * @property {number} timestamp - When the report was made in milliseconds since the epoch.
+ */
+
+/**
+ * Every connected text-fit element including ones inside shadow roots.
+ * @type {Set<HTMLElement>}
+ */
+const instances = new Set();
+
+/**
+ * The callbacks that are told about new overflow incidents.
+ * @type {Set<Function>}
+ */
+const subscribers = new Set();
+
+/**
+ * Builds a selector for a single element that is unique among its siblings.
+ * @param {Element} el - The element.
+ * @returns {string}
+ */
+const getSelectorPart = (el) => {
+  const tag = el.localName;
+  if (el.id && /^[A-Za-z][\w-]*$/.test(el.id)) {
+    return `${tag}#${el.id}`;
+  }
+  const parent = el.parentNode;
+  if (!parent || !parent.children) return tag;
+  const siblings = Array.from(parent.children).filter((child) => child.localName === tag);
+  return siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(el) + 1})` : tag;
+};
+
+/**
+ * Builds a css selector path from the document, or the closest element with an id, to an element.
+ * When the element is inside a shadow root the path to the host and the path inside the root are joined with ` >>> `.
+ * @param {Element} el - The element to build the path for.
+ * @returns {string}
+ */
+export const getSelectorPath = (el) => {
+  const trees = [];
+  let parts = [];
+  let node = el;
+  while (node && node.nodeType === Node.ELEMENT_NODE) {
+    const part = getSelectorPart(node);
+    parts.unshift(part);
+    if (part.includes("#") || node.localName === "html") {
+      // an id is unique in its tree so the rest of the path isn't needed
+      const root = node.getRootNode();
+      if (!(root instanceof ShadowRoot)) break;
+      trees.unshift(parts.join(" > "));
+      parts = [];
+      node = root.host;
+      continue;
+    }
+    if (node.parentNode instanceof ShadowRoot) {
+      trees.unshift(parts.join(" > "));
+      parts = [];
+      node = node.parentNode.host;
+      continue;
+    }
+    node = node.parentElement;
+  }
+  if (parts.length) {
+    trees.unshift(parts.join(" > "));
+  }
+  return trees.join(" >>> ");
+};
+
+/**
+ * Describes the current state of a text-fit element.
+ * @param {HTMLElement} el - The element to describe.
+ * @returns {AuditReport}
+ */
+export const getReport = (el) => {
+  const details = el.overflowDetails;
+  return {
+    element: el,
+    selector: getSelectorPath(el),
+    constraint: details ? details.constraint : null,
+    // the lines are only counted while fitting elements with line limits. Counting them here would change the content and refit it
+    lineCount: el.dataset.lineCount !== undefined ? parseInt(el.dataset.lineCount) : null,
+    fontSize: el.fontSize,
+    fontUnit: el.fontUnit,
+    fitProperties: { ...(el.fitPropertyValues || {}) },
+    overflowDetails: details,
+    timestamp: Date.now(),
+  };
+};
+
+/**
+ * Adds an element to the list of connected instances.
+ * @param {HTMLElement} el
+ */
+export const track = (el) => {
+  instances.add(el);
+};
+
+/**
+ * Removes an element from the list of connected instances.
+ * @param {HTMLElement} el
+ */
+export const untrack = (el) => {
+  instances.delete(el);
+};
+
+/**
+ * Lists every connected text-fit element and whether it is overflowing.
+ * @param {Object} [options]
+ * @param {boolean} [options.overflowing=false] - Only list the elements that are overflowing.
+ * @returns {Array<AuditReport>}
+ */
+export const audit = ({ overflowing = false } = {}) =>
+  Array.from(instances)
+    .filter((el) => el.isConnected && (!overflowing || el.overflow))
+    .map(getReport);
+
+/**
+ * Calls a function with a report whenever an element starts overflowing or the reason it is overflowing changes.
+ * @param {function(AuditReport): void} callback - Called with the report of the element.
+ * @returns {Function} - Call this to stop being told about incidents.
+ */
+export const subscribe = (callback) => {
+  subscribers.add(callback);
+  return () => subscribers.delete(callback);
+};
+
+/**
+ * Tells every subscriber about a new overflow incident. A subscriber that throws doesn't stop fitting or the other subscribers.
+ * @param {HTMLElement} el - The element that started overflowing.
+ */
+export const reportIncident = (el) => {
+  if (!subscribers.size) return;
+  const report = getReport(el);
+  subscribers.forEach((callback) => {
+    try {
+      callback(report);
+    } catch (e) {
+      console.error(e);
+    }
+  });
+};
@@ -0,0 +1,80 @@
+import debounce from "./debounce.js";
+
+/**
+ * All of the fit groups on the page keyed by the value of the `fit-group` attribute.
+ * @type {Map<string, {members: Set<HTMLElement>, fontSize: number|undefined, source: HTMLElement|null, refit: Function}>}
+ */
+const groups = new Map();
+
+const getGroup = (name) => {
+  if (!groups.has(name)) {
+    const group = {
+      members: new Set(),
+      fontSize: undefined,
+      source: null,
+    };
+    // refit every other member in the next frame once the current round of validation is done
+    group.refit = debounce(() => {
+      group.members.forEach((member) => {
+        if (member !== group.source && member.isConnected) {
+          member.requestValidation();
+        }
+      });
+      group.source = null;
+    }, 0);
+    groups.set(name, group);
+  }
+  return groups.get(name);
+};
+
+/**
+ * Calculates the smallest individually fitted font size of all members in a group.
+ * @param {Set<HTMLElement>} members - The elements in the group.
+ * @returns {number|undefined} - The font size that every member can fit or undefined if no member has been fitted yet.
+ */
+const smallestFontSize = (members) => {
+  const sizes = Array.from(members)
+    .map((member) => member.individualFontSize)
+    .filter((size) => typeof size === "number" && !isNaN(size));
+  return sizes.length ? Math.min(...sizes) : undefined;
+};
+
+/**
+ * Adds an element to a fit group and returns the font size that the whole group should use.
+ * If the shared font size changes then every other member of the group is refitted.
+ * @param {string} name - The name of the group.
+ * @param {HTMLElement} el - The element that has just been fitted. Its own best fit must be set as `el.individualFontSize`.
+ * @returns {number|undefined} - The font size shared by the group.
+ */
+export const fitGroup = (name, el) => {
+  const group = getGroup(name);
+  group.members.add(el);
+  const fontSize = smallestFontSize(group.members);
+  if (fontSize !== group.fontSize) {
+    group.fontSize = fontSize;
+    group.source = el;
+    group.refit();
+  }
+  return fontSize;
+};
+
+/**
+ * Removes an element from a fit group and refits the remaining members if the shared font size changes.
+ * @param {string} name - The name of the group.
+ * @param {HTMLElement} el - The element leaving the group.
+ */
+export const leaveFitGroup = (name, el) => {
+  const group = groups.get(name);
+  if (!group || !group.members.delete(el)) return;
+  if (!group.members.size) {
+    group.refit.cancel();
+    groups.delete(name);
+    return;
+  }
+  const fontSize = smallestFontSize(group.members);
+  if (fontSize !== group.fontSize) {
+    group.fontSize = fontSize;
+    group.source = null;
+    group.refit();
+  }
+};
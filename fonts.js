@@ -0,0 +1,187 @@
+import { clearFitCache } from "./limiter.js";
+import { getComposedChildNodes, getComposedTextNodes } from "./utilities.js";
+
+/**
+ * The elements that are refitted when a font they use finishes loading.
+ * @type {Set<HTMLElement>}
+ */
+const watched = new Set();
+
+/**
+ * The promise returned by fontsReady for each element, the function that resolves it and if it has been resolved.
+ * @type {WeakMap<HTMLElement, {promise: Promise<HTMLElement>, resolve: Function, settled: boolean}>}
+ */
+const readyStates = new WeakMap();
+
+/**
+ * Turns a css font-family value into a list of lowercase family names without quotes.
+ * @param {string} fontFamily - The font-family value e.g. `"Noto Sans", sans-serif`.
+ * @returns {Array<string>}
+ */
+const parseFamilies = (fontFamily) =>
+  String(fontFamily || "")
+    .split(",")
+    .map((family) => family.trim().replace(/^["']|["']$/g, "").toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Gets every element that is rendered inside an element. The composed tree is walked so slotted content and the shadow roots of children are included.
+ * @param {Node} node - The element to get the descendants of.
+ * @returns {Array<Element>}
+ */
+const getComposedElements = (node) =>
+  getComposedChildNodes(node)
+    .filter((child) => child.nodeType === Node.ELEMENT_NODE)
+    .flatMap((child) => [child, ...getComposedElements(child)]);
+
+/**
+ * The computed styles of the element and every element rendered inside it. Children can use different fonts to the element itself.
+ * @param {HTMLElement} el - The element to get the styles for.
+ * @returns {Array<CSSStyleDeclaration>}
+ */
+const getStyles = (el) => [el, ...getComposedElements(el)].map((node) => getComputedStyle(node));
+
+/**
+ * Finds every font family used by an element and its children.
+ * @param {HTMLElement} el - The element to check.
+ * @returns {Set<string>} - The lowercase family names.
+ */
+export const getFontFamilies = (el) => {
+  const families = new Set();
+  getStyles(el).forEach((style) => parseFamilies(style.fontFamily).forEach((family) => families.add(family)));
+  return families;
+};
+
+/**
+ * Finds the watched elements that use one of the fonts in a FontFaceSet event.
+ * @param {FontFaceSetLoadEvent} e - The loading, loadingdone or loadingerror event.
+ * @returns {Array<HTMLElement>}
+ */
+const getAffected = (e) => {
+  const families = new Set((e.fontfaces || []).map((face) => parseFamilies(face.family)[0]));
+  if (!families.size) return [];
+  return Array.from(watched).filter((el) => {
+    if (!el.isConnected) return false;
+    for (const family of getFontFamilies(el)) {
+      if (families.has(family)) return true;
+    }
+    return false;
+  });
+};
+
+/**
+ * Flags the elements that use a font that has started loading.
+ * @param {FontFaceSetLoadEvent} e
+ */
+const handleLoading = (e) => {
+  getAffected(e).forEach((el) => {
+    el.dataset.fontsLoading = "";
+    // the fonts aren't ready any more so the next read of fontsReady waits for the refit
+    const state = readyStates.get(el);
+    if (state && state.settled) {
+      readyStates.delete(el);
+    }
+  });
+};
+
+/**
+ * Refits the elements that use a font that has finished loading, or failed to load and fallen back to another font.
+ * Fit results are remembered by font family name and not by the font that was actually rendered so they are forgotten first.
+ * @param {FontFaceSetLoadEvent} e
+ */
+const handleLoadingDone = (e) => {
+  const affected = getAffected(e);
+  if (!affected.length) return;
+  clearFitCache();
+  affected.forEach((el) => {
+    delete el.dataset.fontsLoading;
+    el.requestValidation();
+  });
+};
+
+/**
+ * Starts refitting an element whenever a font it uses loads, like a lazy font-face, a `font-display: swap` font or a theme change.
+ * @param {HTMLElement} el - The element to watch. It must have a `requestValidation` method.
+ */
+export const watchFonts = (el) => {
+  if (!document.fonts || !document.fonts.addEventListener) return;
+  if (!watched.size) {
+    document.fonts.addEventListener("loading", handleLoading);
+    document.fonts.addEventListener("loadingdone", handleLoadingDone);
+    document.fonts.addEventListener("loadingerror", handleLoadingDone);
+  }
+  watched.add(el);
+};
+
+/**
+ * Stops refitting an element when fonts load.
+ * @param {HTMLElement} el - The element to stop watching.
+ */
+export const unwatchFonts = (el) => {
+  if (!watched.delete(el) || watched.size || !document.fonts) return;
+  document.fonts.removeEventListener("loading", handleLoading);
+  document.fonts.removeEventListener("loadingdone", handleLoadingDone);
+  document.fonts.removeEventListener("loadingerror", handleLoadingDone);
+};
+
+/**
+ * The css font shorthands used by an element and its children e.g. `italic 700 16px "Noto Sans"`.
+ * @param {HTMLElement} el - The element to check.
+ * @returns {Array<string>}
+ */
+const getFonts = (el) => {
+  const fonts = new Set();
+  getStyles(el).forEach((style) => {
+    fonts.add(`${style.fontStyle} ${style.fontWeight} 16px ${style.fontFamily}`);
+  });
+  return Array.from(fonts);
+};
+
+/**
+ * Checks if every font used by an element has loaded.
+ * @param {HTMLElement} el - The element to check.
+ * @returns {boolean}
+ */
+export const fontsLoaded = (el) => {
+  if (!document.fonts || !document.fonts.check) return true;
+  const text = getComposedTextNodes(el)
+    .map((node) => node.data)
+    .join("");
+  return getFonts(el).every((font) => {
+    try {
+      return document.fonts.check(font, text);
+    } catch (e) {
+      return true;
+    }
+  });
+};
+
+/**
+ * Gets the promise that resolves with an element once it has been fitted with the fonts it uses.
+ * The same promise is returned until one of the element's fonts starts loading again. Getting it doesn't load fonts or refit the element.
+ * @param {HTMLElement} el - The element.
+ * @returns {Promise<HTMLElement>}
+ */
+export const whenFontsReady = (el) => {
+  let state = readyStates.get(el);
+  if (!state) {
+    state = { settled: false };
+    state.promise = new Promise((resolve) => {
+      state.resolve = resolve;
+    });
+    readyStates.set(el, state);
+  }
+  return state.promise;
+};
+
+/**
+ * Resolves the element's fontsReady promise after it has been fitted, unless one of its fonts is still loading.
+ * @param {HTMLElement} el - The element that was fitted.
+ */
+export const fontsFitted = (el) => {
+  if (el.dataset.fontsLoading !== undefined) return;
+  whenFontsReady(el);
+  const state = readyStates.get(el);
+  state.settled = true;
+  state.resolve(el);
+};
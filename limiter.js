@@ -1,12 +1,228 @@
 import { css } from "https://cdn.skypack.dev/@emotion/css";
-import { getHeight, getWidth, checkOverflow } from "./utilities.js";
+import { lineCount } from "./line-count.js";
+import { applyFontSize } from "./scale.js";
+import {
+  getHeight,
+  getInlineSize,
+  isVertical,
+  getContentWidth,
+  getLayoutParent,
+  getComposedChildNodes,
+  checkOverflow,
+  checkWidthOverflow,
+} from "./utilities.js";
 
+// logical sizes are used so vertical writing modes grow in the right direction
 const fullWidth = css`
-  width: 100%;
+  inline-size: 100%;
 `;
 const growInHeight = css`
-  height: 100%;
+  block-size: 100%;
 `;
+export const singleLine = css`
+  white-space: nowrap;
+`;
+
+/**
+ * The most fit results that are remembered before the oldest ones are thrown away.
+ */
+const MAX_CACHE_SIZE = 500;
+
+/**
+ * Remembers the font size, and the values of any other fit properties, found for each combination of content, width, font and constraints
+ * so fitting the same content again, like in a virtualized list, doesn't need to search again.
+ * @type {Map<string, {fontSize: number, properties: Object<string, string>}>}
+ */
+const fitCache = new Map();
+
+/**
+ * Forgets every remembered fit result. Use this if styles that affect the size of text have changed.
+ */
+export const clearFitCache = () => fitCache.clear();
+
+/**
+ * The computed styles of the element that change how much space its text takes up.
+ */
+const KEY_STYLES = [
+  "font-family",
+  "font-size",
+  "font-weight",
+  "font-style",
+  "font-stretch",
+  "font-variant",
+  "font-feature-settings",
+  "letter-spacing",
+  "word-spacing",
+  "line-height",
+  "text-transform",
+  "text-indent",
+  "white-space",
+  "word-break",
+  "overflow-wrap",
+  "hyphens",
+  "writing-mode",
+  "box-sizing",
+  "padding-top",
+  "padding-right",
+  "padding-bottom",
+  "padding-left",
+  "border-top-width",
+  "border-right-width",
+  "border-bottom-width",
+  "border-left-width",
+];
+
+/**
+ * Describes the rendered content of an element, including slotted content, as its text and the tag, class, inline style and
+ * `data-max-lines` of each element in it. Other attributes are left out as the component writes some of its own, like `data-lines-counted`.
+ * @param {Node} node - The element to describe.
+ * @returns {Array} - Text is kept as strings and elements as arrays of their details followed by their content.
+ */
+const getContentKey = (node) =>
+  getComposedChildNodes(node).map((child) => {
+    if (child.nodeType === Node.TEXT_NODE) return child.data;
+    if (child.nodeType !== Node.ELEMENT_NODE) return "";
+    return [
+      child.localName,
+      child.getAttribute("class"),
+      child.getAttribute("style"),
+      child.getAttribute("data-max-lines"),
+      ...getContentKey(child),
+    ];
+  });
+
+/**
+ * Reads the styles that change how much space the text takes up as they were authored.
+ * The font size, zoom and fit properties written by earlier fits are taken off while reading so they don't change the key.
+ * @param {HTMLElement} el - The element being fitted.
+ * @param {Object} settings - The limiter settings.
+ * @returns {Array<string>}
+ */
+const getStyleKey = (el, settings) => {
+  const written = ["font-size", "zoom", ...(settings.fitProperties || []).map(({ property }) => property)].map((property) => ({
+    property,
+    value: el.style.getPropertyValue(property),
+    priority: el.style.getPropertyPriority(property),
+  }));
+  written.forEach(({ property }) => el.style.removeProperty(property));
+  const style = getComputedStyle(el);
+  const values = KEY_STYLES.map((property) => style.getPropertyValue(property));
+  written.forEach(({ property, value, priority }) => {
+    if (value) el.style.setProperty(property, value, priority);
+  });
+  return values;
+};
+
+/**
+ * Builds the key used to remember a fit result from the content, the styles that affect the size of the text and the constraints.
+ * Max height and max width modes that depend on the size of other elements or the viewport can't be cached.
+ * @param {HTMLElement} el - The element being fitted.
+ * @param {Object} settings - The limiter settings.
+ * @param {number} width - The available width.
+ * @returns {string|false} - The cache key or false if the result can't be cached.
+ */
+const getCacheKey = (el, settings, width) => {
+  if (
+    settings.disableCache ||
+    (settings.maxHeight && isNaN(settings.maxHeight)) ||
+    (settings.maxWidth && isNaN(settings.maxWidth))
+  ) {
+    return false;
+  }
+  const parent = getLayoutParent(el);
+  return JSON.stringify([
+    getContentKey(el),
+    width,
+    getStyleKey(el, settings),
+    // percentage font sizes are relative to the parent
+    parent ? getComputedStyle(parent).fontSize : null,
+    settings.maxLines,
+    settings.blockLimits,
+    settings.minLines,
+    settings.maxHeight,
+    settings.maxWidth,
+    settings.fill,
+    settings.minFontSize,
+    settings.maxFontSize,
+    settings.fillMaxFontSize,
+    settings.fontUnit,
+    settings.scaleMode,
+    settings.fitProperties,
+    settings.fontSteps,
+    settings.widthOnly,
+    settings.growInHeight,
+  ]);
+};
+
+/**
+ * @typedef {Object} FitProperty
+ * @property {string} property - The css property e.g. `letter-spacing` or `font-size`.
+ * @property {number} [min] - The tightest value allowed. Not used for `font-size` which uses the min and max font size.
+ * @property {number} [max] - The loosest value allowed.
+ * @property {string} [unit] - The unit of the values e.g. `em`. Empty for unitless values like a line-height of 1.2.
+ */
+
+/**
+ * Finds the largest value that fits between low and high.
+ * When a start value is given the search begins there and moves outwards in growing strides until it finds
+ * a value that does and a value that doesn't fit. That range is then binary searched. This is a lot quicker than
+ * searching the whole range when the result is close to the last one.
+ * @param {Object} options
+ * @param {number} options.low - The smallest value allowed.
+ * @param {number} options.high - The largest value allowed.
+ * @param {number} options.step - The precision of the search.
+ * @param {Function} options.round - Rounds a value to the precision of the search.
+ * @param {number} [options.start] - The value to start searching from, usually the last result.
+ * @param {Function} options.fits - A generator that returns true if the value fits. See limiterSteps.
+ * @returns {Generator<undefined, number>} - Returns the largest value that fits or low if nothing fits.
+ */
+const findLargestFit = function* ({ low, high, step, round, start, fits }) {
+  let best = null;
+  let fail = null;
+
+  if (typeof start === "number" && start >= low && start <= high) {
+    let stride = Math.max(step, round((high - low) / 32));
+    if (yield* fits(start)) {
+      best = start;
+      while (best < high) {
+        const next = Math.min(round(best + stride), high);
+        if (!(yield* fits(next))) {
+          fail = next;
+          break;
+        }
+        best = next;
+        stride *= 2;
+      }
+    } else {
+      fail = start;
+      while (fail > low) {
+        const next = Math.max(round(fail - stride), low);
+        if (yield* fits(next)) {
+          best = next;
+          break;
+        }
+        fail = next;
+        stride *= 2;
+      }
+      // nothing fits so use the smallest value
+      if (best === null) return low;
+    }
+  }
+
+  // Binary search between the largest value known to fit and the smallest value known not to
+  let lowValue = best === null ? low : round(best + step);
+  let highValue = fail === null ? high : round(fail - step);
+  while (lowValue <= highValue) {
+    const mid = round((highValue + lowValue) / 2);
+    if (yield* fits(mid)) {
+      best = mid;
+      lowValue = round(mid + step); // set font size to larger
+    } else {
+      highValue = round(mid - step); // set font size to  smaller
+    }
+  }
+  return best === null ? low : best;
+};
 
 /**
  * Limits the font size of an element to fit within specified constraints.
@@ -17,9 +233,23 @@ const growInHeight = css`
  * @param {string} [settings.fontUnit="%"] - The unit of measurement for the font size.
  * @param {number} [settings.minFontSize=0] - The minimum font size allowed.
  * @param {number} [settings.maxLines] - The maximum number of lines allowed for the text.
+ * @param {boolean} [settings.blockLimits=false] - If descendants have their own `data-max-lines` limits. The font size is reduced until every one of them fits.
+ * @param {number} [settings.minLines] - The number of lines the text should grow to fill. This is also where growing stops when maxLines isn't set unless the text already has more lines at the smallest size.
  * @param {string} [settings.maxHeight=false] - A string that will be set when there's some type of overflow happening which is configured by the maxHeight prop. If this is set then we should be reducing the font size.
- * @returns {number} - The final font size applied to the element.
+ * @param {string} [settings.maxWidth=false] - The max width mode. The font size is reduced until the content is no wider than it allows, like when a long URL can't wrap.
+ * @param {boolean} [settings.fill=false] - Grow the text until it fills the maxHeight.
+ * @param {number} [settings.fillMaxFontSize] - The maximum font size used instead of maxFontSize while growing to fill minLines or the maxHeight.
+ * @param {string} [settings.scaleMode="font-size"] - How the size is applied. `zoom` or `transform` scale the whole subtree instead of setting the font size. See scale.js.
+ * @param {Array<FitProperty>} [settings.fitProperties] - The properties to adjust in priority order. Properties before `font-size` are tightened before the font size is reduced
+ * and properties after it are only tightened once the font size can't get any smaller. Each fit starts from the loosest values so they are put back when there is more space.
+ * @param {Array<number>} [settings.fontSteps] - The font sizes of a type scale sorted from smallest to largest. If set the largest step that fits is used instead of searching between minFontSize and maxFontSize.
+ * @param {boolean} [settings.widthOnly=false] - Keep the text on a single line and fill the available width. Height, maxLines and maxHeight are ignored.
+ * @param {number} [settings.startFontSize] - The last font size that was found. The search starts here and moves outwards instead of searching the whole range.
+ * @param {boolean} [settings.disableCache=false] - Don't use or remember cached fit results.
+ * @returns {number} - The final font size applied to the element. The number of sizes that were tried is written to `el.dataset.fitIterations`, which is 0 when the result came from the cache.
+ * The values chosen for the other fit properties are set as inline styles on the element.
  * inspired by https://github.com/STRML/textFit
+ * This runs the whole search straight away. Use limiterSteps to fit many elements together.
  *
  * @example
  * const element = document.getElementById("myElement");
@@ -33,57 +263,221 @@ const growInHeight = css`
  * const fontSize = limiter(element, settings);
  * console.log("Final font size:", fontSize);
  */
-export const limiter = (el, settings) => {
+export const limiter = (el, settings) => runSteps(limiterSteps(el, settings));
+
+/**
+ * Runs a generator until it is done.
+ * @param {Generator} steps - The generator to run, like the one returned by limiterSteps.
+ * @returns {*} - The value the generator returns.
+ */
+export const runSteps = (steps) => {
+  let step = steps.next();
+  while (!step.done) {
+    step = steps.next();
+  }
+  return step.value;
+};
+
+/**
+ * The same search as limiter but as a generator that pauses after every size it writes and again after it has measured it.
+ * Stepping the generators of many elements in turn writes every element, then measures every element, so the browser
+ * only has to lay out the page once per size that is tried instead of once per element. The settings are the same as limiter.
+ * @param {HTMLElement} el - The element to apply the font size limit to.
+ * @param {Object} settings - See limiter.
+ * @returns {Generator<undefined, number|false>} - Returns the final font size applied to the element.
+ */
+export const limiterSteps = function* (el, settings) {
   let fontSize = settings.maxFontSize || 100;
   el.classList.add(fullWidth);
 
   let originalHeight;
   let originalWidth;
   let low;
-  let mid;
   let high;
-  if (settings.growInHeight) {
+  if (settings.widthOnly) {
+    el.classList.add(singleLine);
+  } else {
+    el.classList.remove(singleLine);
+  }
+  if (settings.growInHeight && !settings.widthOnly) {
     el.classList.add(growInHeight);
   }
-  originalWidth = getWidth(el);
+  // the width is the inline size, which is the height for vertical text
+  const vertical = isVertical(el);
+  originalWidth = getInlineSize(el, vertical);
   originalHeight = getHeight(el);
   let fontUnit = settings.fontUnit || "%";
   low = settings.minFontSize || 0;
   high = settings.maxFontSize || 100;
   // if there is no width then stop. it's not loaded yet
   if (isNaN(originalWidth)) return false;
+  const cacheKey = getCacheKey(el, settings, originalWidth);
+  // let the other elements being fitted measure their starting sizes before any sizes are written
+  yield;
 
   fontSize = low;
+  let iterations = 0;
+
+  // when filling, the text is allowed to grow past the normal max font size until it reaches the line or height target
+  let maxLines = settings.maxLines;
+  let filling = Boolean(settings.fill && settings.maxHeight);
+  if (settings.minLines && !settings.widthOnly) {
+    if (!maxLines) {
+      applyFontSize(el, low, fontUnit, settings.scaleMode);
+      yield;
+      const count = el.lineCount;
+      yield;
+      if (count <= settings.minLines) {
+        maxLines = settings.minLines;
+        filling = true;
+      }
+    } else {
+      filling = true;
+    }
+  }
+  if (filling && settings.fillMaxFontSize) {
+    high = Math.max(high, settings.fillMaxFontSize);
+  }
+
+  /**
+   * Sets the font size and checks if the content fits within the constraints
+   * @param {number} size - The font size to try
+   * @returns {Generator<undefined, boolean>} - Returns true if the content fits at this size
+   */
+  const fits = function* (size) {
+    iterations++;
+    applyFontSize(el, size, fontUnit, settings.scaleMode);
+    // wait for the other elements being fitted to write their sizes, measure, then wait for them to measure too
+    yield;
+    const result = measureFit();
+    yield;
+    return result;
+  };
 
-  // Binary search for highest best fit
-  while (low <= high) {
-    mid = parseFloat(((high + low) / 2).toFixed(2));
-    el.style.fontSize = mid + fontUnit;
+  /**
+   * Checks if the content fits within the constraints at the size that has been applied
+   * @returns {boolean} - True if the content fits
+   */
+  const measureFit = () => {
+
+    // in width only mode the text never wraps so the only thing to check is if it is wider than the space available
+    if (settings.widthOnly) {
+      return getContentWidth(el, vertical) <= originalWidth && !(settings.maxWidth && checkWidthOverflow(el, settings.maxWidth));
+    }
 
     if (settings.growInHeight) {
       el.classList.add(growInHeight);
     }
-    const scrollWidth = getWidth(el) <= originalWidth;
+    const scrollWidth = getInlineSize(el, vertical) <= originalWidth;
     el.classList.remove(growInHeight);
 
     // check if too many lines and if it is then we need to adjust the font size accordingly
     let fontSizeTooLarge = false;
-    if (settings.maxLines) {
-      fontSizeTooLarge = el.lineCount > settings.maxLines;
-    }  
+    if (maxLines || settings.blockLimits) {
+      const count = lineCount(el);
+      fontSizeTooLarge =
+        (maxLines && count.lineCount > maxLines) ||
+        count.blocks.some((block) => block.lineCount > block.maxLines);
+    }
     // check if the height is too much and if it is then we need to adjust the font size accordingly but only if we don't have too many lines
     if (settings.maxHeight && !fontSizeTooLarge) {
       fontSizeTooLarge = checkOverflow(el, settings.maxHeight);
     }
-    if (scrollWidth && !fontSizeTooLarge) {
-      fontSize = mid;
-      low = mid + 0.01; // set font size to larger
-    } else {
-      high = mid - 0.01; // set font size to  smaller
+    if (settings.maxWidth && !fontSizeTooLarge) {
+      fontSizeTooLarge = checkWidthOverflow(el, settings.maxWidth);
+    }
+    return scrollWidth && !fontSizeTooLarge;
+  };
+
+  const steps = settings.fontSteps && settings.fontSteps.length ? settings.fontSteps : false;
+
+  /**
+   * Searches for the largest font size that fits
+   * @returns {Generator<undefined, {fontSize: number, fitted: boolean}>} - Returns the font size and if the content fits at it
+   */
+  const searchFontSize = function* () {
+    if (steps) {
+      // Search the type scale. If nothing fits the smallest step is used
+      const start = steps.indexOf(settings.startFontSize);
+      const index = yield* findLargestFit({
+        low: 0,
+        high: steps.length - 1,
+        step: 1,
+        round: Math.floor,
+        start: start === -1 ? undefined : start,
+        fits: (index) => fits(steps[index]),
+      });
+      // the search returns the smallest value when nothing fits so that is the only result that needs checking
+      return { fontSize: steps[index], fitted: index > 0 || (yield* fits(steps[index])) };
+    }
+    // Search for highest best fit
+    const size = yield* findLargestFit({
+      low,
+      high,
+      step: 0.01,
+      round: (value) => parseFloat(value.toFixed(2)),
+      start: settings.startFontSize,
+      fits,
+    });
+    return { fontSize: size, fitted: size > low || (yield* fits(size)) };
+  };
+
+  const properties = settings.fitProperties && settings.fitProperties.length ? settings.fitProperties : [{ property: "font-size" }];
+  const setProperty = ({ property, unit }, value) => el.style.setProperty(property, parseFloat(value.toFixed(4)) + unit);
+  const getPropertyValues = () => {
+    const values = {};
+    properties.forEach(({ property }) => {
+      if (property !== "font-size") values[property] = el.style.getPropertyValue(property);
+    });
+    return values;
+  };
+
+  if (cacheKey && fitCache.has(cacheKey)) {
+    const cached = fitCache.get(cacheKey);
+    fontSize = cached.fontSize;
+    Object.keys(cached.properties).forEach((property) => el.style.setProperty(property, cached.properties[property]));
+    // move the result to the end so it is the last to be evicted
+    fitCache.delete(cacheKey);
+    fitCache.set(cacheKey, cached);
+  } else {
+    // start from the loosest values and the largest font size so they are put back when more space becomes available
+    fontSize = steps ? steps[steps.length - 1] : high;
+    properties.forEach((item) => {
+      if (item.property !== "font-size") setProperty(item, item.max);
+    });
+    // tighten each property in priority order until the content fits
+    for (const item of properties) {
+      if (item.property === "font-size") {
+        const result = yield* searchFontSize();
+        fontSize = result.fontSize;
+        if (result.fitted) break;
+        continue;
+      }
+      const tryValue = function* (value) {
+        setProperty(item, value);
+        return yield* fits(fontSize);
+      };
+      if (yield* tryValue(item.max)) break;
+      const value = yield* findLargestFit({
+        low: item.min,
+        high: item.max,
+        step: Math.max((item.max - item.min) / 100, 0.0001),
+        round: (value) => parseFloat(value.toFixed(4)),
+        fits: tryValue,
+      });
+      if (yield* tryValue(value)) break;
+    }
+  }
+  if (cacheKey) {
+    fitCache.set(cacheKey, { fontSize, properties: getPropertyValues() });
+    if (fitCache.size > MAX_CACHE_SIZE) {
+      fitCache.delete(fitCache.keys().next().value);
     }
   }
   el.classList.remove(fullWidth);
-  el.style.fontSize = Math.floor(fontSize) + fontUnit;
+  el.classList.remove(growInHeight);
+  applyFontSize(el, steps ? fontSize : Math.floor(fontSize), fontUnit, settings.scaleMode);
+  el.dataset.fitIterations = iterations;
 
   return fontSize;
 };
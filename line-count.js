@@ -1,16 +1,26 @@
 import { css } from "https://cdn.skypack.dev/@emotion/css";
-import { getHeight } from "./utilities.js";
+import {
+  getHeight,
+  getBlockSize,
+  getWritingMode,
+  getLayoutParent,
+  composedContains,
+  composedClosest,
+  getComposedParent,
+  getComposedTextNodes,
+} from "./utilities.js";
 
+// logical properties are used so the spacing between lines is removed in vertical writing modes too
 const countingLines = css`
   * {
-    margin-top: 0 !important;
-    margin-bottom: 0 !important;
-    padding-top: 0 !important;
-    padding-bottom: 0 !important;
-    top: 0 !important;
-    bottom: 0 !important;
-    min-height: 0 !important;
-    max-height: none !important;
+    margin-block-start: 0 !important;
+    margin-block-end: 0 !important;
+    padding-block-start: 0 !important;
+    padding-block-end: 0 !important;
+    inset-block-start: 0 !important;
+    inset-block-end: 0 !important;
+    min-block-size: 0 !important;
+    max-block-size: none !important;
   }
 `;
 
@@ -37,8 +47,9 @@ const hasHeightValue = (el, target) => {
   
   // If element is inline or has no measurable height, look at parent
   if (["inline", "inline-block"].includes(display) || Number.isNaN(height) || height <= 0) {
-    if (el.parentElement && el.parentElement !== target) {
-      return hasHeightValue(el.parentElement, target);
+    const parent = getLayoutParent(el);
+    if (parent && parent !== target) {
+      return hasHeightValue(parent, target);
     }
   }
   
@@ -48,6 +59,7 @@ const hasHeightValue = (el, target) => {
 /**
  * Retrieves all text nodes under a given element, avoiding duplicate counting.
  * Uses a more sophisticated approach to handle nested structures.
+ * The composed tree is walked so slotted content and the shadow roots of children are included.
  *
  * @param {Element} el - The element to search for text nodes.
  * @returns {Array<Element>} - An array of elements containing text nodes.
@@ -55,13 +67,12 @@ const hasHeightValue = (el, target) => {
 const textNodesUnder = (el) => {
   if (!el) return [];
   
-  let n = null;
   let a = [];
-  const walk = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, null, false);
   
-  while ((n = walk.nextNode())) {
+  getComposedTextNodes(el).forEach((n) => {
     if (n.textContent.trim()) {
-      const { parentElement } = n;
+      // slots don't have a box so use the element that actually lays out the text
+      const parentElement = getLayoutParent(n);
       
       // Try to find the best element to measure
       let elementToMeasure = parentElement;
@@ -85,7 +96,7 @@ const textNodesUnder = (el) => {
         } else if (inlineSemanticTags.includes(parentTag)) {
           // Inline semantic elements: check if there are other inline siblings
           // If so, measure the container instead to group them together
-          const container = parentElement.parentElement;
+          const container = getLayoutParent(parentElement);
           if (container && container !== el) {
             const siblings = Array.from(container.children);
             const inlineSiblings = siblings.filter(sibling => {
@@ -105,14 +116,14 @@ const textNodesUnder = (el) => {
           }
         } else {
           // Generic elements: try to find a meaningful ancestor
-          let current = parentElement.parentElement;
+          let current = getLayoutParent(parentElement);
           while (current && current !== el) {
             const currentDisplay = getComputedStyle(current).display;
             if (!["inline", "inline-block"].includes(currentDisplay)) {
               elementToMeasure = current;
               break;
             }
-            current = current.parentElement;
+            current = getLayoutParent(current);
           }
           
           if (current === el) {
@@ -134,24 +145,87 @@ const textNodesUnder = (el) => {
         }
       } else if (elementToMeasure && !a.includes(elementToMeasure)) {
         // Remove any children of this element from the array to prevent double counting
-        a = a.filter((existing) => !elementToMeasure.contains(existing));
+        a = a.filter((existing) => !composedContains(elementToMeasure, existing));
         
         // Only add if this element isn't contained within an existing element
-        const isContained = a.some((existing) => existing.contains(elementToMeasure));
+        const isContained = a.some((existing) => composedContains(existing, elementToMeasure));
         if (!isContained) {
           a.push(elementToMeasure);
         }
       }
     }
-  }
+  });
   
   return a;
 };
 
+/**
+ * Finds the parts of an element's content that have their own `data-max-lines` limit. The composed tree is followed so
+ * limits on slotted content and content in shadow roots are found too. Only parts with text in them are returned.
+ * @param {HTMLElement} element - The element to search.
+ * @returns {Array<HTMLElement>} - The parts with a limit. Outer parts come before the parts inside them.
+ */
+export const getLimitedBlocks = (element) => {
+  const blocks = [];
+  getComposedTextNodes(element).forEach((node) => {
+    const found = [];
+    let block = composedClosest(getComposedParent(node), "[data-max-lines]");
+    while (block && block !== element && composedContains(element, block)) {
+      found.unshift(block);
+      block = composedClosest(getComposedParent(block), "[data-max-lines]");
+    }
+    found.forEach((item) => {
+      if (!blocks.includes(item)) blocks.push(item);
+    });
+  });
+  return blocks;
+};
+
+/**
+ * Counts the lines an inline element is spread over. An inline element has a box for each line it is on so the boxes are
+ * grouped by line, starting a new line when a box sits past the end of the line before it along the block axis.
+ * @param {HTMLElement} el - The inline element to count the lines of.
+ * @param {string} writingMode - The writing mode of the element being counted.
+ * @returns {number} - The number of lines.
+ */
+const countInlineLines = (el, writingMode) => {
+  const blockStart = (rect) => {
+    if (writingMode === "vertical-rl") return -rect.right;
+    if (writingMode === "vertical-lr") return rect.left;
+    return rect.top;
+  };
+  const blockEnd = (rect) => {
+    if (writingMode === "vertical-rl") return -rect.left;
+    if (writingMode === "vertical-lr") return rect.right;
+    return rect.bottom;
+  };
+  const rects = Array.from(el.getClientRects())
+    .filter((rect) => rect.width || rect.height)
+    .sort((a, b) => blockStart(a) - blockStart(b));
+  let lines = 0;
+  let lineEnd = -Infinity;
+  rects.forEach((rect) => {
+    if ((blockStart(rect) + blockEnd(rect)) / 2 > lineEnd) {
+      lines++;
+      lineEnd = blockEnd(rect);
+    } else {
+      lineEnd = Math.max(lineEnd, blockEnd(rect));
+    }
+  });
+  return lines;
+};
+
+/**
+ * @typedef {Object} BlockLineCount
+ * @property {HTMLElement} element - The descendant with a `data-max-lines` attribute.
+ * @property {number} lineCount - The number of lines counted inside it.
+ * @property {number} maxLines - The value of its `data-max-lines` attribute.
+ */
 /**
  * @typedef {Object} LineCountResult
  * @property {number} lineCount - The number of lines in the element.
  * @property {number} naturalHeight - The natural height of the element.
+ * @property {Array<BlockLineCount>} blocks - The line count of every descendant with its own `data-max-lines` limit.
  */
 /**
  * Calculates the number of lines in an element's text content.
@@ -161,11 +235,13 @@ const textNodesUnder = (el) => {
  */
 /**
  * Gets accurate height measurement using Range API when available
+ * For vertical writing modes this is the width as lines are stacked horizontally
  * @param {HTMLElement} el - Element to measure
+ * @param {boolean} vertical - If the text is vertical
  * @returns {number} - Height in pixels
  */
-const getAccurateHeight = (el) => {
-  let height = getHeight(el);
+const getAccurateHeight = (el, vertical) => {
+  let height = getBlockSize(el, vertical);
   
   // Use Range API for more accurate text height measurement
   if (document.createRange && el.firstChild) {
@@ -173,8 +249,9 @@ const getAccurateHeight = (el) => {
       const range = document.createRange();
       range.selectNodeContents(el);
       const rect = range.getBoundingClientRect();
-      if (rect && rect.height > 0) {
-        height = rect.height;
+      const size = rect ? (vertical ? rect.width : rect.height) : 0;
+      if (size > 0) {
+        height = size;
       }
     } catch (e) {
       // Fallback to element height if Range API fails
@@ -185,7 +262,10 @@ const getAccurateHeight = (el) => {
 };
 
 export const lineCount = (element) => {
-  const naturalHeight = getHeight(element);
+  // lines stack along the block axis which is horizontal for vertical writing modes
+  const writingMode = getWritingMode(element);
+  const vertical = writingMode !== "horizontal";
+  const naturalHeight = getBlockSize(element, vertical);
   
   const { classList } = element;
   classList.add(countingLines);
@@ -204,6 +284,8 @@ export const lineCount = (element) => {
   
   // Cache for elements we've already measured to avoid redundant calculations
   const heightCache = new Map();
+  // the lines counted for each measured element so descendants with their own limit can be counted
+  const counts = new Map();
   
   elementsToCount.forEach((el, index) => {
     // Disable caching for now to ensure accurate counts during debugging
@@ -216,7 +298,7 @@ export const lineCount = (element) => {
     // }
     
     // Measure natural height
-    const naturalNodeHeight = getAccurateHeight(el);
+    const naturalNodeHeight = getAccurateHeight(el, vertical);
     
     if (naturalNodeHeight <= 0) {
       // Skip elements with no height
@@ -231,7 +313,7 @@ export const lineCount = (element) => {
     el.appendChild(textNode);
 
     // Measure height after adding line break
-    const newHeight = getAccurateHeight(el);
+    const newHeight = getAccurateHeight(el, vertical);
     
     // Clean up measurement elements
     try {
@@ -263,6 +345,7 @@ export const lineCount = (element) => {
     // Skip caching for now
     // heightCache.set(elementId, elementLineCount);
     el.dataset.linesCounted = elementLineCount;
+    counts.set(el, elementLineCount);
     totalLineCount += elementLineCount;
     
     // Debug logging for problematic tests
@@ -278,6 +361,26 @@ export const lineCount = (element) => {
     }
   });
   classList.remove(countingLines);
+
+  const blocks = getLimitedBlocks(element)
+    .map((block) => {
+      let blockLineCount = 0;
+      counts.forEach((count, measured) => {
+        if (composedContains(block, measured)) {
+          blockLineCount += count;
+        }
+      });
+      // an inline part is inside the element that was measured so count the lines its own boxes are on
+      if (!blockLineCount) {
+        blockLineCount = countInlineLines(block, writingMode);
+      }
+      return {
+        element: block,
+        lineCount: blockLineCount,
+        maxLines: parseInt(block.dataset.maxLines) || 0,
+      };
+    })
+    .filter((block) => block.maxLines);
   
   // Validate final result
   if (isNaN(totalLineCount) || totalLineCount < 0) {
@@ -292,6 +395,81 @@ export const lineCount = (element) => {
   return {
     lineCount: totalLineCount,
     naturalHeight,
-    elementsProcessed: elementsToCount.length
+    elementsProcessed: elementsToCount.length,
+    blocks,
+  };
+};
+
+/**
+ * @typedef {Object} RenderedLine
+ * @property {number} index - The position of the line in the element starting at 0.
+ * @property {string} text - The text rendered on the line with whitespace collapsed.
+ * @property {DOMRect} rect - The box around all of the text on the line.
+ * @property {HTMLElement} block - The measured block the line belongs to. This is the same element that `data-lines-counted` is written to.
+ */
+/**
+ * Gets every rendered line of text in an element in order.
+ * Each character is measured with the Range API and a new line is started when a character sits past the end of the line before it, which is below it for horizontal text and beside it for vertical text, or moves to a new block.
+ *
+ * @param {HTMLElement} element - The DOM element to get the lines of.
+ * @returns {Array<RenderedLine>} - The rendered lines.
+ */
+export const getLines = (element) => {
+  const blocks = textNodesUnder(element);
+  // lines move down for horizontal text and sideways for vertical text so compare positions along the block axis
+  const writingMode = getWritingMode(element);
+  const blockPosition = (rect) => {
+    if (writingMode === "vertical-rl") return -(rect.left + rect.right) / 2;
+    if (writingMode === "vertical-lr") return (rect.left + rect.right) / 2;
+    return (rect.top + rect.bottom) / 2;
+  };
+  const lineEnd = (line) => {
+    if (writingMode === "vertical-rl") return -line.left;
+    if (writingMode === "vertical-lr") return line.right;
+    return line.bottom;
   };
+  const lines = [];
+  let current = null;
+  const range = document.createRange();
+
+  getComposedTextNodes(element).forEach((node) => {
+    if (!node.textContent.trim()) {
+      if (current) current.text += " ";
+      return;
+    }
+    const block = blocks.find((b) => composedContains(b, node)) || element;
+    for (let i = 0; i < node.data.length; i++) {
+      range.setStart(node, i);
+      range.setEnd(node, i + 1);
+      const rect = range.getClientRects()[0];
+      // collapsed whitespace doesn't have a box so it just gets added to the current line
+      if (!rect || (!rect.width && !rect.height)) {
+        if (current) current.text += node.data[i];
+        continue;
+      }
+      if (!current || current.block !== block || blockPosition(rect) > lineEnd(current)) {
+        current = {
+          block,
+          text: "",
+          top: rect.top,
+          right: rect.right,
+          bottom: rect.bottom,
+          left: rect.left,
+        };
+        lines.push(current);
+      }
+      current.text += node.data[i];
+      current.top = Math.min(current.top, rect.top);
+      current.right = Math.max(current.right, rect.right);
+      current.bottom = Math.max(current.bottom, rect.bottom);
+      current.left = Math.min(current.left, rect.left);
+    }
+  });
+
+  return lines.map((line, index) => ({
+    index,
+    text: line.text.replace(/\s+/g, " ").trim(),
+    rect: new DOMRect(line.left, line.top, line.right - line.left, line.bottom - line.top),
+    block: line.block,
+  }));
 };
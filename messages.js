@@ -0,0 +1,111 @@
+/**
+ * The overflow messages for each language. A message can be a string or an object of plural forms
+ * keyed by the Intl.PluralRules categories (`zero`, `one`, `two`, `few`, `many`, `other`).
+ * Placeholders like `{maxLines}` are replaced with the values of the overflow.
+ */
+const messages = {
+  en: {
+    widthOnly: "There can only be a single line of content here",
+    maxLines: {
+      one: "There can only be a single line of content here",
+      other: "There can't be more than {maxLines} lines of content here",
+    },
+    blockMaxLines: {
+      one: "Part of this content can only be a single line",
+      other: "Part of this content can't be more than {allowed} lines",
+    },
+    maxHeight: "More content has been added than space allows",
+    maxWidth: "The content is wider than the space allows",
+    minLines: {
+      one: "There should be at least a single line of content here",
+      other: "There should be at least {minLines} lines of content here",
+    },
+    fill: "The content doesn't fill the space available",
+    maxChars: {
+      one: "There can't be more than {maxChars} character here",
+      other: "There can't be more than {maxChars} characters here",
+    },
+    maxWords: {
+      one: "There can't be more than {maxWords} word here",
+      other: "There can't be more than {maxWords} words here",
+    },
+    required: "Please fill in this field",
+  },
+};
+
+/**
+ * Adds or replaces messages for a language. Only the messages that are passed in are changed.
+ * @param {Object<string, string|Object<string, string>>} newMessages - The messages keyed by name e.g. `maxLines`.
+ * @param {string} [locale="en"] - The language the messages are for e.g. `de` or `pt-BR`.
+ *
+ * @example
+ * setMessages({
+ *   maxLines: {
+ *     one: "Hier ist nur eine Zeile erlaubt",
+ *     other: "Hier sind höchstens {maxLines} Zeilen erlaubt",
+ *   },
+ *   maxHeight: "Der Inhalt ist {overflowPx}px zu hoch",
+ * }, "de");
+ */
+export const setMessages = (newMessages, locale = "en") => {
+  const key = locale.toLowerCase();
+  messages[key] = { ...(messages[key] || {}), ...newMessages };
+};
+
+/**
+ * Finds a message for a language falling back to the base language and then to English.
+ * @param {string} name - The name of the message.
+ * @param {string} [locale] - The language to use.
+ * @returns {string|Object<string, string>|undefined}
+ */
+const findMessage = (name, locale) => {
+  const key = (locale || "en").toLowerCase();
+  const candidates = [key, key.split("-")[0], "en"];
+  for (const candidate of candidates) {
+    if (messages[candidate] && messages[candidate][name] !== undefined) {
+      return messages[candidate][name];
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Builds a message by picking the plural form and filling in the placeholders.
+ * @param {string|Object<string, string>} message - The message template or plural forms.
+ * @param {Object} values - The values for the placeholders. `count` is used to pick the plural form.
+ * @param {string} [locale] - The language used for plurals and number formatting.
+ * @returns {string}
+ */
+export const formatMessage = (message, values, locale) => {
+  if (message && typeof message === "object") {
+    let category = "other";
+    try {
+      category = new Intl.PluralRules(locale).select(values.count);
+    } catch (e) {
+      // invalid locale so use the default plural form
+    }
+    message = message[category] !== undefined ? message[category] : message.other;
+  }
+  return String(message || "").replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = values[name];
+    if (value === undefined || value === null) return placeholder;
+    if (typeof value === "number") {
+      try {
+        return value.toLocaleString(locale);
+      } catch (e) {
+        return String(value);
+      }
+    }
+    return String(value);
+  });
+};
+
+/**
+ * Gets a formatted message from the registry.
+ * @param {string} name - The name of the message e.g. `maxLines`.
+ * @param {Object} values - The values for the placeholders. `count` is used to pick the plural form.
+ * @param {string} [locale] - The language to use.
+ * @returns {string}
+ */
+export const getMessage = (name, values, locale) =>
+  formatMessage(findMessage(name, locale), values, locale);
@@ -0,0 +1,179 @@
+import { getLayoutParent, getWidth, getHeight } from "./utilities.js";
+
+/**
+ * @typedef {Object} ResponsiveRule
+ * @property {"media"|"container"} type - If the condition is a media query or is checked against the size of the parent.
+ * @property {string} condition - The condition e.g. `(min-width: 768px)`.
+ * @property {string} value - The value to use when the condition matches.
+ */
+
+/**
+ * The parsed responsive values keyed by the attribute value so they are only parsed once.
+ * @type {Map<string, {base: string|null, rules: Array<ResponsiveRule>}>}
+ */
+const parsedValues = new Map();
+
+/**
+ * The shared MediaQueryLists keyed by query and the elements that depend on each of them.
+ * @type {Map<string, {list: MediaQueryList, elements: Set<HTMLElement>, handleChange: Function}>}
+ */
+const mediaQueries = new Map();
+
+/**
+ * The media queries each element is currently watching.
+ * @type {WeakMap<HTMLElement, Set<string>>}
+ */
+const watchedQueries = new WeakMap();
+
+const keywords = /^(not|only|and|or|screen|print|all)\b\s*/i;
+
+/**
+ * Splits a rule like `(min-width: 768px) and (max-width: 1199px) 2` into its condition and value.
+ * The condition is the leading parenthesized groups and media query keywords. Whatever is left is the value.
+ * @param {string} rule - The rule without the `@container` prefix.
+ * @returns {{condition: string, value: string}}
+ */
+const splitCondition = (rule) => {
+  let index = 0;
+  while (index < rule.length) {
+    const rest = rule.slice(index);
+    const keyword = rest.match(keywords);
+    if (keyword) {
+      index += keyword[0].length;
+      continue;
+    }
+    if (rest[0] !== "(") break;
+    let depth = 0;
+    do {
+      if (rule[index] === "(") depth++;
+      if (rule[index] === ")") depth--;
+      index++;
+    } while (depth > 0 && index < rule.length);
+    while (rule[index] === " ") index++;
+  }
+  return { condition: rule.slice(0, index).trim(), value: rule.slice(index).trim() };
+};
+
+/**
+ * Parses a responsive attribute value like `3; (min-width: 768px) 2; @container (min-width: 400px) 1`.
+ * Parts without a condition set the base value and parts with a condition override it when they match.
+ * @param {string} value - The attribute value.
+ * @returns {{base: string|null, rules: Array<ResponsiveRule>}}
+ */
+export const parseResponsiveValue = (value) => {
+  if (parsedValues.has(value)) {
+    return parsedValues.get(value);
+  }
+  const parsed = { base: null, rules: [] };
+  value.split(";").forEach((part) => {
+    let rule = part.trim();
+    if (!rule) return;
+    let type = "media";
+    if (rule.startsWith("@container")) {
+      type = "container";
+      rule = rule.slice("@container".length).trim();
+    }
+    const { condition, value: ruleValue } = splitCondition(rule);
+    if (!condition) {
+      parsed.base = rule;
+    } else if (ruleValue) {
+      parsed.rules.push({ type, condition, value: ruleValue });
+    }
+  });
+  parsedValues.set(value, parsed);
+  return parsed;
+};
+
+/**
+ * Converts a length in a container condition into pixels. Supports px, rem and em.
+ * @param {string} length - The length e.g. `400px` or `30rem`.
+ * @param {HTMLElement} container - The element the condition is checked against.
+ * @returns {number}
+ */
+const toPixels = (length, container) => {
+  const number = parseFloat(length);
+  if (/r?em$/.test(length)) {
+    const root = length.endsWith("rem") ? document.documentElement : container;
+    return number * parseFloat(getComputedStyle(root).fontSize);
+  }
+  return number;
+};
+
+/**
+ * Checks a container condition like `(min-width: 400px) and (max-width: 799px)` against the size of the element's parent.
+ * @param {HTMLElement} el - The text-fit element.
+ * @param {string} condition - The condition.
+ * @returns {boolean}
+ */
+const matchesContainer = (el, condition) => {
+  const container = getLayoutParent(el);
+  if (!container) return false;
+  const size = { width: getWidth(container), height: getHeight(container) };
+  const features = condition.match(/\([^()]+\)/g) || [];
+  return features.every((feature) => {
+    const match = feature.match(/\(\s*(min|max)-(width|height)\s*:\s*([\d.]+[a-z]*)\s*\)/i);
+    if (!match) {
+      console.warn(`textfit: unsupported container condition ${feature}`);
+      return false;
+    }
+    const [, limit, dimension, length] = match;
+    const pixels = toPixels(length, container);
+    return limit === "min" ? size[dimension] >= pixels : size[dimension] <= pixels;
+  });
+};
+
+/**
+ * Gets the value of a responsive attribute that applies right now. The last matching rule wins.
+ * @param {HTMLElement} el - The text-fit element.
+ * @param {string|null} value - The attribute value.
+ * @param {Set<string>} [queries] - The media queries used by the value are added to this so they can be watched.
+ * @returns {string|null}
+ */
+export const resolveResponsiveValue = (el, value, queries) => {
+  if (!value || (!value.includes(";") && !/^\s*(\(|@container)/.test(value))) {
+    return value;
+  }
+  const { base, rules } = parseResponsiveValue(value);
+  let resolved = base;
+  rules.forEach(({ type, condition, value: ruleValue }) => {
+    if (type === "container") {
+      if (matchesContainer(el, condition)) resolved = ruleValue;
+      return;
+    }
+    if (queries) queries.add(condition);
+    if (window.matchMedia && window.matchMedia(condition).matches) {
+      resolved = ruleValue;
+    }
+  });
+  return resolved;
+};
+
+/**
+ * Refits an element as soon as one of the media queries used by its attributes starts or stops matching.
+ * Replaces the queries that the element was watching before. Pass an empty set to stop watching.
+ * @param {HTMLElement} el - The element. It must have a `requestValidation` method.
+ * @param {Set<string>} queries - The media queries to watch.
+ */
+export const watchMediaQueries = (el, queries) => {
+  if (!window.matchMedia) return;
+  const previous = watchedQueries.get(el) || new Set();
+  previous.forEach((query) => {
+    if (queries.has(query)) return;
+    const entry = mediaQueries.get(query);
+    entry.elements.delete(el);
+    if (!entry.elements.size) {
+      entry.list.removeEventListener("change", entry.handleChange);
+      mediaQueries.delete(query);
+    }
+  });
+  queries.forEach((query) => {
+    if (!mediaQueries.has(query)) {
+      const entry = { list: window.matchMedia(query), elements: new Set() };
+      entry.handleChange = () => entry.elements.forEach((member) => member.requestValidation());
+      entry.list.addEventListener("change", entry.handleChange);
+      mediaQueries.set(query, entry);
+    }
+    mediaQueries.get(query).elements.add(el);
+  });
+  watchedQueries.set(el, new Set(queries));
+};
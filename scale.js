@@ -0,0 +1,117 @@
+/**
+ * @typedef {Object} ScaledDescendant
+ * @property {HTMLElement} element - The descendant whose font size was rewritten.
+ * @property {string} value - Its original inline font size.
+ * @property {string} priority - Its original inline font size priority e.g. `important`.
+ * @property {string} rewritten - The font size it was given so edits made since can be kept.
+ */
+
+/**
+ * Inline font sizes that don't scale with the font size of the element they are in.
+ */
+const ABSOLUTE_FONT_SIZE = /^[\d.]+(px|rem|pt|pc|in|cm|mm|q)$/i;
+
+/**
+ * The values the `scale-mode` attribute accepts.
+ */
+const scaleModes = ["font-size", "zoom", "transform", "descendants"];
+
+/**
+ * The unknown scale modes that have already been warned about so the console isn't flooded while fitting.
+ * @type {Set<string>}
+ */
+const warnedScaleModes = new Set();
+
+/**
+ * Reads the scale mode from the value of the `scale-mode` attribute. Unknown values log a warning and use `font-size`.
+ * @param {HTMLElement} el - The element the attribute is on.
+ * @param {string|null} value - The attribute value.
+ * @returns {string} - The scale mode.
+ */
+export const parseScaleMode = (el, value) => {
+  if (!value) return "font-size";
+  if (scaleModes.includes(value)) return value;
+  if (!warnedScaleModes.has(value)) {
+    warnedScaleModes.add(value);
+    console.warn(el, `Unknown scale-mode "${value}". Use ${scaleModes.join(", ")}`);
+  }
+  return "font-size";
+};
+
+/**
+ * Works out the zoom that makes an element look like it has been given a font size.
+ * The font size is set for a moment so any css unit is converted by the browser.
+ * @param {HTMLElement} el - The element being scaled.
+ * @param {number} size - The font size.
+ * @param {string} fontUnit - The unit of the font size.
+ * @returns {number} - The zoom to use.
+ */
+const toZoom = (el, size, fontUnit) => {
+  el.style.zoom = "";
+  el.style.fontSize = "";
+  const base = parseFloat(getComputedStyle(el).fontSize);
+  el.style.fontSize = size + fontUnit;
+  const target = parseFloat(getComputedStyle(el).fontSize);
+  el.style.fontSize = "";
+  return base && target ? target / base : 1;
+};
+
+/**
+ * Sets the size of an element's text using its scale mode.
+ * `zoom` scales the whole subtree with css zoom, so children with `px` or `rem` font sizes scale too and the text still
+ * wraps, is counted and takes up space like it would with a font size. `transform` is the same as `zoom` because
+ * a css transform would leave the layout at the unscaled size. Every other mode sets the font size.
+ * @param {HTMLElement} el - The element to size.
+ * @param {number} size - The font size.
+ * @param {string} fontUnit - The unit of the font size.
+ * @param {string} [scaleMode="font-size"] - The scale mode.
+ */
+export const applyFontSize = (el, size, fontUnit, scaleMode = "font-size") => {
+  if (scaleMode === "zoom" || scaleMode === "transform") {
+    el.style.zoom = toZoom(el, size, fontUnit);
+  } else {
+    el.style.zoom = "";
+    el.style.fontSize = size + fontUnit;
+  }
+};
+
+/**
+ * Rewrites the absolute inline font sizes of an element's descendants, like `font-size: 18px` from a CMS, as `em` so they scale with the fitted font size.
+ * Every size is read before any is written so nested sizes keep the proportions they were authored with.
+ * @param {HTMLElement} el - The element being fitted.
+ * @returns {Array<ScaledDescendant>} - What is needed to restore the original font sizes.
+ */
+export const scaleDescendants = (el) => {
+  const fontSize = el.style.fontSize;
+  // measure at the element's own size so the ratios are the same as the authored sizes
+  el.style.fontSize = "";
+  const sizes = Array.from(el.querySelectorAll("[style]"))
+    .filter((child) => ABSOLUTE_FONT_SIZE.test(child.style.fontSize.trim()))
+    .map((child) => ({
+      element: child,
+      value: child.style.fontSize,
+      priority: child.style.getPropertyPriority("font-size"),
+      size: parseFloat(getComputedStyle(child).fontSize),
+      parentSize: parseFloat(getComputedStyle(child.parentElement).fontSize),
+    }));
+  sizes.forEach((scaled) => {
+    if (scaled.size && scaled.parentSize) {
+      scaled.element.style.setProperty("font-size", `${parseFloat((scaled.size / scaled.parentSize).toFixed(4))}em`, scaled.priority);
+    }
+    scaled.rewritten = scaled.element.style.fontSize;
+  });
+  el.style.fontSize = fontSize;
+  return sizes.map(({ element, value, priority, rewritten }) => ({ element, value, priority, rewritten }));
+};
+
+/**
+ * Puts back the font sizes that were rewritten by scaleDescendants. Font sizes that have been changed since are kept.
+ * @param {Array<ScaledDescendant>} scaled - The value returned by scaleDescendants.
+ */
+export const restoreDescendants = (scaled) => {
+  (scaled || []).forEach(({ element, value, priority, rewritten }) => {
+    if (element.style.fontSize === rewritten) {
+      element.style.setProperty("font-size", value, priority);
+    }
+  });
+};
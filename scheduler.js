@@ -0,0 +1,257 @@
+import debounce from "./debounce.js";
+import { isVertical } from "./utilities.js";
+
+/**
+ * How long fitting can run for in a single frame before the rest of the queue is moved to the next frame.
+ */
+const FRAME_BUDGET = 12;
+
+/**
+ * How long fitting a single element is expected to take before any have been timed.
+ */
+const INITIAL_COST = 1;
+
+/**
+ * The order elements are fitted in. Lower numbers are fitted first.
+ */
+const PRIORITY = {
+  high: 0,
+  visible: 1,
+  auto: 2,
+  low: 3,
+};
+
+/**
+ * Every element that has been registered with the scheduler.
+ * @type {Set<HTMLElement>}
+ */
+const registered = new Set();
+
+/**
+ * The elements waiting to be fitted.
+ * @type {Set<HTMLElement>}
+ */
+const queue = new Set();
+
+/**
+ * The last inline size each element was observed at so resizes that only change the block size can be skipped.
+ * The inline size is the width for horizontal text and the height for vertical text.
+ * @type {WeakMap<HTMLElement, number>}
+ */
+const observedSizes = new WeakMap();
+
+/**
+ * Elements that are waiting to become visible before they are fitted.
+ * @type {Set<HTMLElement>}
+ */
+const deferred = new Set();
+
+/**
+ * The IntersectionObservers used to wait for elements to become visible keyed by their root margin.
+ * @type {Map<string, IntersectionObserver>}
+ */
+const visibilityObservers = new Map();
+
+let frame = null;
+let resizeObserver = null;
+// how long each element took to fit in the last frame. Used to decide how many elements fit into the frame budget
+let costPerElement = INITIAL_COST;
+
+const requestFrame = (callback) =>
+  window.requestAnimationFrame ? window.requestAnimationFrame(callback) : setTimeout(callback, 16);
+
+const now = () => (window.performance ? performance.now() : Date.now());
+
+/**
+ * Works out the order an element should be fitted in from its `priority` attribute and if it is on screen.
+ * @param {HTMLElement} el - The element to check.
+ * @param {DOMRect} rect - The element's bounding box.
+ * @returns {number}
+ */
+const getPriority = (el, rect) => {
+  const priority = el.getAttribute("priority");
+  if (priority === "high" || priority === "low") {
+    return PRIORITY[priority];
+  }
+  const visible =
+    rect.bottom > 0 &&
+    rect.right > 0 &&
+    rect.top < window.innerHeight &&
+    rect.left < window.innerWidth;
+  return visible ? PRIORITY.visible : PRIORITY.auto;
+};
+
+/**
+ * Fits the queued elements in priority order. Each element is fitted once however many times it was queued.
+ * The font size searches of the batch are advanced together so every element writes its next size and then every element
+ * measures it, which means the page is laid out once per round instead of once per element and size. Each element is still
+ * measured on its own while its attributes are read before the search starts. As many elements as are expected to fit into
+ * the frame budget are fitted and the rest are left for the next frame so the page doesn't freeze.
+ */
+const flush = () => {
+  frame = null;
+  const start = now();
+
+  // the boxes used to order the queue are read before anything is fitted so they all come from the same layout
+  const batch = [];
+  queue.forEach((el) => {
+    if (!el.isConnected) {
+      queue.delete(el);
+      return;
+    }
+    const rect = el.getBoundingClientRect();
+    batch.push({ el, priority: getPriority(el, rect) });
+  });
+  batch.sort((a, b) => a.priority - b.priority);
+
+  // fit as many elements as the last frame suggests will fit into the budget, in priority order
+  const size = Math.max(1, Math.floor(FRAME_BUDGET / costPerElement));
+  let active = batch.slice(0, size).map(({ el }) => {
+    queue.delete(el);
+    return el.validationSteps();
+  });
+  const count = active.length;
+  while (active.length) {
+    active = active.filter((steps) => {
+      // an element that throws, like one with a max-height mode that throws, doesn't stop the rest of the batch
+      try {
+        return !steps.next().done;
+      } catch (e) {
+        console.error(e);
+        return false;
+      }
+    });
+  }
+  if (count) {
+    costPerElement = Math.max((now() - start) / count, 0.1);
+  }
+
+  if (queue.size) {
+    frame = requestFrame(flush);
+  }
+};
+
+/**
+ * Queues an element to be fitted in the next frame. Calling this many times before the frame only fits the element once.
+ * @param {HTMLElement} el - The element to fit. It must have a `validationSteps` method.
+ */
+export const schedule = (el) => {
+  queue.add(el);
+  if (frame === null) {
+    frame = requestFrame(flush);
+  }
+};
+
+/**
+ * Queues the deferred elements that have become visible.
+ * @param {Array<IntersectionObserverEntry>} entries
+ * @param {IntersectionObserver} observer
+ */
+const handleIntersectionEntries = (entries, observer) => {
+  entries.forEach((entry) => {
+    if (entry.isIntersecting && deferred.has(entry.target)) {
+      deferred.delete(entry.target);
+      observer.unobserve(entry.target);
+      schedule(entry.target);
+    }
+  });
+};
+
+/**
+ * Waits until an element is visible, or within a distance of the viewport, before queueing it to be fitted.
+ * Elements that become visible without scrolling, like when a tab is opened, are picked up by the shared ResizeObserver.
+ * @param {HTMLElement} el - The element to fit once it is visible.
+ * @param {number} [margin=0] - How far outside of the viewport in pixels the element can be and still be fitted.
+ */
+export const deferUntilVisible = (el, margin = 0) => {
+  if (!window.IntersectionObserver) return;
+  const rootMargin = `${margin}px`;
+  visibilityObservers.forEach((observer) => observer.unobserve(el));
+  if (!visibilityObservers.has(rootMargin)) {
+    visibilityObservers.set(rootMargin, new IntersectionObserver(handleIntersectionEntries, { rootMargin }));
+  }
+  deferred.add(el);
+  visibilityObservers.get(rootMargin).observe(el);
+};
+
+/**
+ * Refits every registered element after the window has been resized.
+ */
+const handleWindowResize = debounce(() => {
+  registered.forEach((el) => schedule(el));
+}, 100);
+
+/**
+ * Reads the inline size of a ResizeObserver entry. Browsers without `contentBoxSize` only give the content rect.
+ * @param {ResizeObserverEntry} entry
+ * @returns {number}
+ */
+const getEntryInlineSize = (entry) => {
+  if (entry.contentBoxSize) {
+    // older browsers give a single size instead of an array
+    const size = entry.contentBoxSize[0] || entry.contentBoxSize;
+    return size.inlineSize;
+  }
+  return isVertical(entry.target) ? entry.contentRect.height : entry.contentRect.width;
+};
+
+/**
+ * Checks if an element is fitted to its own or its parent's block size, which is only measured when it doesn't grow in height.
+ * @param {HTMLElement} el
+ * @returns {boolean}
+ */
+const fitsToHeight = (el) => Boolean(el.dontGrowInHeight) && ["self", "parent"].includes(el.maxHeight);
+
+/**
+ * Queues the elements whose inline size has changed. Block size changes are ignored as they are usually caused by fitting itself.
+ * Elements that fit to their own or their parent's height with `dont-grow-in-height` are refitted when either size changes.
+ * @param {Array<ResizeObserverEntry>} entries
+ */
+const handleResizeEntries = (entries) => {
+  entries.forEach((entry) => {
+    const el = entry.target;
+    const size = fitsToHeight(el)
+      ? `${entry.contentRect.width}x${entry.contentRect.height}`
+      : getEntryInlineSize(entry);
+    if (observedSizes.get(el) !== size) {
+      observedSizes.set(el, size);
+      schedule(el);
+    }
+  });
+};
+
+/**
+ * Starts watching an element for size changes with the shared ResizeObserver and window resize listener.
+ * @param {HTMLElement} el - The element to watch.
+ */
+export const observe = (el) => {
+  if (!registered.size) {
+    window.addEventListener("resize", handleWindowResize);
+  }
+  registered.add(el);
+  if (window.ResizeObserver) {
+    if (!resizeObserver) {
+      resizeObserver = new ResizeObserver(handleResizeEntries);
+    }
+    resizeObserver.observe(el);
+  }
+};
+
+/**
+ * Stops watching an element and removes it from the queue.
+ * @param {HTMLElement} el - The element to stop watching.
+ */
+export const unobserve = (el) => {
+  registered.delete(el);
+  queue.delete(el);
+  observedSizes.delete(el);
+  deferred.delete(el);
+  visibilityObservers.forEach((observer) => observer.unobserve(el));
+  if (resizeObserver) {
+    resizeObserver.unobserve(el);
+  }
+  if (!registered.size) {
+    window.removeEventListener("resize", handleWindowResize);
+    handleWindowResize.cancel();
+  }
+};
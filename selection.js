@@ -0,0 +1,181 @@
+import { composedContains, getComposedTextNodes } from "./utilities.js";
+
+/**
+ * @typedef {Object} SavedSelection
+ * @property {number} start - The number of characters before the start of the selection.
+ * @property {number} end - The number of characters before the end of the selection.
+ */
+
+/**
+ * Converts a point in the DOM into the number of characters of text that come before it in an element.
+ * @param {HTMLElement} el - The element the point is in.
+ * @param {Node} container - The node of the point.
+ * @param {number} offset - The offset of the point in the node.
+ * @returns {number}
+ */
+const toTextOffset = (el, container, offset) => {
+  const point = document.createRange();
+  point.setStart(container, offset);
+  let total = 0;
+  getComposedTextNodes(el).forEach((node) => {
+    if (node === container) {
+      total += offset;
+      return;
+    }
+    try {
+      // the end of the node is at or before the point so all of its text comes before it
+      if (point.comparePoint(node, node.length) <= 0) {
+        total += node.length;
+      }
+    } catch (e) {
+      // nodes in a different tree to the point can't be compared
+    }
+  });
+  return total;
+};
+
+/**
+ * Converts a number of characters back into a point in the DOM.
+ * @param {Array<Text>} nodes - The text nodes of the element.
+ * @param {number} offset - The number of characters before the point.
+ * @returns {{node: Text, offset: number}|null}
+ */
+const fromTextOffset = (nodes, offset) => {
+  let total = 0;
+  for (const node of nodes) {
+    if (offset <= total + node.length) {
+      return { node, offset: offset - total };
+    }
+    total += node.length;
+  }
+  const last = nodes[nodes.length - 1];
+  return last ? { node: last, offset: last.length } : null;
+};
+
+/**
+ * Remembers where the caret and selection are in an element as character offsets so they can be put back
+ * after the content has been changed, like when it is truncated or the font size is changed.
+ * @param {HTMLElement} el - The element that might contain the selection.
+ * @param {AbstractRange} [range] - The range to save. Defaults to the current selection.
+ * @returns {SavedSelection|null} - The saved selection or null if the selection isn't in the element.
+ */
+export const saveSelection = (el, range) => {
+  if (!range) {
+    const selection = document.getSelection();
+    if (!selection || !selection.rangeCount) return null;
+    range = selection.getRangeAt(0);
+  }
+  if (!composedContains(el, range.startContainer) || !composedContains(el, range.endContainer)) {
+    return null;
+  }
+  return {
+    start: toTextOffset(el, range.startContainer, range.startOffset),
+    end: toTextOffset(el, range.endContainer, range.endOffset),
+  };
+};
+
+/**
+ * Creates a live range from a saved selection.
+ * @param {HTMLElement} el - The element the selection was in.
+ * @param {SavedSelection} saved - The saved selection.
+ * @returns {Range|null}
+ */
+export const toRange = (el, saved) => {
+  const nodes = getComposedTextNodes(el);
+  const start = fromTextOffset(nodes, saved.start);
+  const end = fromTextOffset(nodes, saved.end);
+  const range = document.createRange();
+  if (!start || !end) {
+    // there is no text yet so the range goes inside the element
+    range.selectNodeContents(el);
+    range.collapse(false);
+    return range;
+  }
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+  return range;
+};
+
+/**
+ * Checks if two saved selections are in the same place.
+ * @param {SavedSelection|null} a
+ * @param {SavedSelection|null} b
+ * @returns {boolean}
+ */
+export const isSameSelection = (a, b) =>
+  Boolean(a && b && a.start === b.start && a.end === b.end);
+
+/**
+ * Puts back a selection that was saved with saveSelection.
+ * @param {HTMLElement} el - The element the selection was in.
+ * @param {SavedSelection|null} saved - The saved selection.
+ */
+export const restoreSelection = (el, saved) => {
+  if (!saved) return;
+  const range = toRange(el, saved);
+  const selection = document.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+};
+
+/**
+ * Replaces the text in a saved selection so the result can be measured, then puts everything back exactly as it was.
+ * The nodes in the element are kept, so references to them and anything a framework owns still work. Selected characters are removed
+ * from the text nodes they are in and the text is added to the text node where the selection starts. New lines are added as `<br>` elements.
+ * @param {HTMLElement} el - The element the selection is in.
+ * @param {SavedSelection} saved - Where the text would be inserted.
+ * @param {string} text - The text to insert.
+ * @returns {Function} - Undoes the edit and puts the caret and selection back.
+ */
+export const previewEdit = (el, saved, text) => {
+  const selection = saveSelection(el);
+  const nodes = getComposedTextNodes(el);
+  const undo = [];
+  let start = fromTextOffset(nodes, saved.start);
+  if (!start) {
+    // there is no text yet so a node is added to hold it
+    const node = document.createTextNode("");
+    el.appendChild(node);
+    undo.push(() => node.remove());
+    start = { node, offset: 0 };
+  }
+
+  // take the selected characters out of each text node they are in
+  let total = 0;
+  nodes.forEach((node) => {
+    const from = Math.max(saved.start - total, 0);
+    const to = Math.min(saved.end - total, node.length);
+    total += node.length;
+    if (to > from) {
+      const removed = node.data.slice(from, to);
+      node.deleteData(from, to - from);
+      undo.push(() => node.insertData(from, removed));
+    }
+  });
+
+  const [first, ...lines] = text.split(/\r?\n/);
+  const { node, offset } = start;
+  node.insertData(offset, first);
+  undo.push(() => node.deleteData(offset, first.length));
+  if (lines.length) {
+    // the rest of the text node is split off so the line breaks can go between them and joined back on afterwards
+    const tail = node.splitText(offset + first.length);
+    const added = [];
+    lines.forEach((line) => {
+      added.push(document.createElement("br"), document.createTextNode(line));
+    });
+    added.forEach((child) => tail.parentNode.insertBefore(child, tail));
+    undo.push(() => {
+      added.forEach((child) => child.remove());
+      node.appendData(tail.data);
+      tail.remove();
+    });
+  }
+
+  return () => {
+    undo.reverse().forEach((step) => step());
+    if (selection && !isSameSelection(selection, saveSelection(el))) {
+      restoreSelection(el, selection);
+    }
+  };
+};
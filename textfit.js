@@ -1,8 +1,36 @@
-import { css } from "https://cdn.skypack.dev/@emotion/css";
-import { getHeight, getWidth, detectBoundingOverflow, checkOverflow } from "./utilities.js";
-import { limiter } from "./limiter.js";
-import { lineCount } from "./line-count.js";
+import { css, cache } from "https://cdn.skypack.dev/@emotion/css";
+import {
+  getHeight,
+  getWidth,
+  getContentWidth,
+  detectBoundingOverflow,
+  measureOverflow,
+  checkOverflow,
+  measureWidthOverflow,
+  checkWidthOverflow,
+  countGraphemes,
+  splitGraphemes,
+  countWords,
+  parseFontSteps,
+  parseFitProperties,
+  registerHeightMode,
+  getLayoutParent,
+  composedClosest,
+  getComposedTextNodes,
+  getInlineSize,
+} from "./utilities.js";
+import { limiterSteps, runSteps, singleLine, clearFitCache } from "./limiter.js";
+import { lineCount, getLines, getLimitedBlocks } from "./line-count.js";
 import debounce from "./debounce.js";
+import { fitGroup, leaveFitGroup } from "./fit-group.js";
+import { truncate, restore } from "./truncate.js";
+import { setMessages, getMessage, formatMessage } from "./messages.js";
+import { schedule, observe, unobserve, deferUntilVisible } from "./scheduler.js";
+import { watchFonts, unwatchFonts, fontsLoaded, whenFontsReady, fontsFitted } from "./fonts.js";
+import { track, untrack, audit, subscribe, reportIncident, getSelectorPath } from "./audit.js";
+import { resolveResponsiveValue, watchMediaQueries } from "./responsive.js";
+import { applyFontSize, parseScaleMode, scaleDescendants, restoreDescendants } from "./scale.js";
+import { saveSelection, restoreSelection, isSameSelection, toRange, previewEdit } from "./selection.js";
 
 const styles = css`
   display: block;
@@ -43,20 +71,42 @@ const styles = css`
   }
 `;
 
+/**
+ * The shadow roots that the emotion styles have already been added to
+ * @type {WeakSet<ShadowRoot>}
+ */
+const adoptedRoots = new WeakSet();
+
 class TextFit extends HTMLElement {
   constructor() {
     super();
-    // Bind methods to maintain proper 'this' context
-    this.handleResize = debounce(this.runValidation.bind(this), 100);
     this.handleMutation = null;
-    this.resizeObserver = null;
     this.isValidating = false;
+    this.handleContentVisibility = (e) => {
+      if (!e.skipped) {
+        this.requestValidation();
+      }
+    };
+    this.handleSlotChange = () => {
+      if (this.observer && !this.isValidating) {
+        this.observeContent();
+      }
+      this.requestValidation();
+    };
+    this.handleBeforeInput = (e) => this.enforceInput(e);
+    // take part in forms like a native input so overflowing content can block submission
+    this.internals = this.attachInternals ? this.attachInternals() : null;
+  }
+
+  static get formAssociated() {
+    return true;
   }
 
   static get observedAttributes() {
     return [
       "max-lines",
       "max-height",
+      "max-width",
       "width-only",
       "min-font-size",
       "max-font-size",
@@ -68,104 +118,773 @@ class TextFit extends HTMLElement {
       "max-font-size",
       "min-font-size",
       "classname",
+      "fit-group",
+      "overflow-strategy",
+      "required",
+      "max-chars",
+      "max-words",
+      "lang",
+      "font-steps",
+      "priority",
+      "disable-fit-cache",
+      "lazy",
+      "enforce",
+      "min-lines",
+      "fill",
+      "scale-mode",
+      "fit-properties",
     ];
   }
+
+  /**
+   * Forgets every remembered fit result. Use this if styles that affect the size of text have changed.
+   */
+  static clearFitCache() {
+    clearFitCache();
+  }
+
+  /**
+   * Adds a max-height mode. The mode is called with the element and any arguments from the attribute
+   * e.g. `max-height="closest(.card)"` calls the `closest` mode with `.card`.
+   * @param {string} name - The name of the mode.
+   * @param {function(HTMLElement, ...string): ({measured: number, allowed: number}|undefined)} fn - Returns the size of the content and the size allowed in pixels.
+   */
+  static registerHeightMode(name, fn) {
+    registerHeightMode(name, fn);
+    document.querySelectorAll("text-fit[max-height]").forEach((el) => {
+      if (el.requestValidation) el.requestValidation();
+    });
+  }
+
+  /**
+   * Lists every connected element with a selector path to it, the constraint that failed, its line count, font size and overflow details.
+   * @param {Object} [options]
+   * @param {boolean} [options.overflowing=false] - Only list the elements that are overflowing.
+   * @returns {Array<AuditReport>}
+   */
+  static audit(options) {
+    return audit(options);
+  }
+
+  /**
+   * Calls a function with an audit report whenever an element starts overflowing or the reason it is overflowing changes.
+   * @param {function(AuditReport): void} callback - Called with the report of the element.
+   * @returns {Function} - Call this to unsubscribe.
+   */
+  static subscribe(callback) {
+    return subscribe(callback);
+  }
+
+  /**
+   * Adds or replaces the overflow messages for a language. See messages.js for the message names.
+   * @param {Object<string, string|Object<string, string>>} messages - The messages keyed by name.
+   * @param {string} [locale="en"] - The language the messages are for.
+   */
+  static setMessages(messages, locale) {
+    setMessages(messages, locale);
+    document.querySelectorAll("text-fit").forEach((el) => {
+      if (el.requestValidation) el.requestValidation();
+    });
+  }
   /**
     * Runs the validation process for the textfit web component.
     *
     * @param {Event} e - The event object.
     */
   runValidation(e) {
+    runSteps(this.validationSteps(e));
+  }
+  /**
+    * The validation process as a generator that pauses at every step of the font size search, see limiterSteps.
+    * The scheduler steps every queued element together so they share the layout work.
+    *
+    * @param {Event} e - The event object.
+    * @returns {Generator}
+    */
+  *validationSteps(e) {
     // Prevent validation if component is not connected or already running
     if (!this.isConnected || this.isValidating) {
       return;
     }
 
+    // Wait until the element can be laid out, or is close to the viewport when lazy, before doing any work
+    if (this.shouldDefer()) {
+      this.dataset.fitDeferred = "";
+      return;
+    }
+    delete this.dataset.fitDeferred;
+
     // Set flag to prevent recursive calls
     this.isValidating = true;
     this.done = false;
+    try {
+      // truncating and restoring content moves the caret so remember where it was while the user is editing
+      const selection = this.isContentEditable ? saveSelection(this) : null;
+      // remember the last results so events are only fired when something actually changes
+      const previousFontSize = this.fontSize;
+      const previousLineCount = this.dataset.lineCount;
+      const previousFitProperties = JSON.stringify(this.fitPropertyValues || {});
+      const previousBlocks = this.getBlocksKey();
+      const previousOverflow = this.overflow || false;
 
-    // Temporarily disconnect observer to prevent self-triggering
-    if (this.observer) {
-      this.observer.disconnect();
-    }
-    this.maxLines = parseInt(this.getAttribute("max-lines")) || false;
-    // should the font size be dynamic. This can be turned off if the user just wants to use overflow and line counting features
-    this.dynamicFontSize =
-      !this.hasAttribute("disable-dynamic-font-size") || true;
-    // should the overflow error be displayed over the element to let the user know there is an issue with the content
-    this.logOverflowError =
-      this.hasAttribute("log-overflow-error") || false;
-    // the max height to allow the element to grow to before it is considered to be overflowing or textfit needs to happen. This supports a few dynamic values as well as pixel values
-    this.maxHeight = this.getAttribute("max-height") || false;
-    // how long to wait before running the validation
-    this.debounceTime = parseInt(this.getAttribute("debounce-time")) || 0;
-    this.overflow = false;
-    this.dontGrowInHeight = Boolean(this.hasAttribute("dont-grow-in-height")) || false;
-    this.maxFontSize = parseFloat(this.getAttribute("max-font-size")) || 100;
-    this.minFontSize = parseFloat(this.getAttribute("min-font-size")) || 20;
-    this.fontUnit = this.getAttribute("font-unit") || "%";
-    this.overflow = false;
-
-    if (this.dynamicFontSize) {
-      this.fontSize = limiter(this, {
-        maxFontSize: this.maxFontSize,
-        minFontSize: this.minFontSize,
-        fontUnit: this.fontUnit,
-        maxLines: this.maxLines,
-        growInHeight: !this.dontGrowInHeight,
-        maxHeight: this.maxHeight,
+      // Temporarily disconnect observer to prevent self-triggering
+      if (this.observer) {
+        this.observer.disconnect();
+      }
+      // max-lines, max-height, min-font-size and max-font-size can change at breakpoints so collect the media queries they use
+      const mediaQueries = new Set();
+      this.maxLines = parseInt(this.getResponsiveAttribute("max-lines", mediaQueries)) || false;
+      // should the font size be dynamic. This can be turned off if the user just wants to use overflow and line counting features
+      this.dynamicFontSize =
+        !this.hasAttribute("disable-dynamic-font-size") || true;
+      // should the overflow error be displayed over the element to let the user know there is an issue with the content
+      this.logOverflowError =
+        this.hasAttribute("log-overflow-error") || false;
+      // the max height to allow the element to grow to before it is considered to be overflowing or textfit needs to happen. This supports a few dynamic values as well as pixel values
+      this.maxHeight = this.getResponsiveAttribute("max-height", mediaQueries) || false;
+      // the max width the content can take up before the font size is reduced, for words and URLs that can't wrap. Supports the same modes as max-height
+      this.maxWidth = this.getResponsiveAttribute("max-width", mediaQueries) || false;
+      // editorial limits on the number of characters and words. Characters are counted as graphemes so emoji count as one
+      this.maxChars = parseInt(this.getAttribute("max-chars")) || false;
+      this.maxWords = parseInt(this.getAttribute("max-words")) || false;
+      // the number of lines the text should grow to fill and if it should grow to fill the max-height
+      this.minLines = parseInt(this.getAttribute("min-lines")) || false;
+      // parts of the content like a heading and a blurb can have their own line limits with data-max-lines
+      this.blockLimits = getLimitedBlocks(this).length > 0;
+      this.blockLineCounts = [];
+      this.fill = this.hasAttribute("fill");
+      // how long to wait before running the validation
+      this.debounceTime = parseInt(this.getAttribute("debounce-time")) || 0;
+      this.overflow = false;
+      this.dontGrowInHeight = Boolean(this.hasAttribute("dont-grow-in-height")) || false;
+      const maxFontSize = parseFloat(this.getResponsiveAttribute("max-font-size", mediaQueries));
+      this.maxFontSize = maxFontSize || 100;
+      this.minFontSize = parseFloat(this.getResponsiveAttribute("min-font-size", mediaQueries)) || 20;
+      watchMediaQueries(this, mediaQueries);
+      this.fontUnit = this.getAttribute("font-unit") || "%";
+      // short text is allowed to grow past the default max font size when it has to fill min-lines or the max-height
+      this.fillMaxFontSize = maxFontSize || (this.minLines || this.fill ? this.getFillMaxFontSize() : this.maxFontSize);
+      // snap the font size to a type scale. This can also be set with the --textfit-font-steps css custom property
+      this.fontSteps = parseFontSteps(
+        this.getAttribute("font-steps") || getComputedStyle(this).getPropertyValue("--textfit-font-steps")
+      );
+      // other properties like letter-spacing and line-height that are tightened within a range before or after the font size is reduced
+      this.fitProperties = parseFitProperties(this.getAttribute("fit-properties"));
+      Object.keys(this.fitPropertyValues || {}).forEach((property) => {
+        if (!this.fitProperties || !this.fitProperties.some((item) => item.property === property)) {
+          this.style.removeProperty(property);
+        }
       });
-    }
+      // fit the text to the available width on a single line, like a headline or badge. Height and line limits are ignored
+      this.widthOnly = this.hasAttribute("width-only");
+      this.overflow = false;
+      // every constraint that failed during this validation. Used to build overflowDetails
+      this.overflowFailures = [];
+      const previousUnderflow = this.underflow || false;
+      this.underflow = false;
+      this.underflowFailures = [];
+      // elements in the same fit group all use the smallest font size that fits every member
+      const group = this.getAttribute("fit-group") || false;
+      if (this.fitGroup && this.fitGroup !== group) {
+        leaveFitGroup(this.fitGroup, this);
+      }
+      this.fitGroup = group;
+      // what to do when the content still doesn't fit at the min font size. `shrink`, `ellipsis` or `clip`
+      this.overflowStrategy = this.getAttribute("overflow-strategy") || "shrink";
 
-    if (this.maxLines) {
-      let count = lineCount(this);
-      this.dataset.lineCount = count.lineCount;
-      if (count.lineCount > this.maxLines) {
-        if (this.maxLines == 1) {
-          this.overflow = "There can only be a single line of content here";
-        } else {
-          this.overflow = `There can't be more than ${this.maxLines} lines of content here`;
+      // put back any content that was cut off last time so the full content gets fitted
+      this.restoreTruncation();
+
+      // how the size is applied. `font-size`, `zoom`, `transform` which is the same as zoom, or `descendants` which makes absolute font sizes of children scale too
+      this.scaleMode = parseScaleMode(this, this.getAttribute("scale-mode"));
+      restoreDescendants(this.scaledDescendants);
+      this.scaledDescendants = this.scaleMode === "descendants" ? scaleDescendants(this) : null;
+
+      if (this.widthOnly) {
+        this.classList.add(singleLine);
+      } else {
+        this.classList.remove(singleLine);
+      }
+
+      if (this.dynamicFontSize) {
+        this.fontSize = yield* limiterSteps(this, {
+          maxFontSize: this.maxFontSize,
+          minFontSize: this.minFontSize,
+          fontUnit: this.fontUnit,
+          maxLines: this.maxLines,
+          blockLimits: this.blockLimits,
+          minLines: this.minLines,
+          growInHeight: !this.dontGrowInHeight,
+          maxHeight: this.maxHeight,
+          maxWidth: this.maxWidth,
+          fill: this.fill,
+          fillMaxFontSize: this.fillMaxFontSize,
+          widthOnly: this.widthOnly,
+          fontSteps: this.fontSteps,
+          scaleMode: this.scaleMode,
+          fitProperties: this.fitProperties,
+          startFontSize: this.fitGroup ? this.individualFontSize : this.fontSize,
+          disableCache: this.hasAttribute("disable-fit-cache"),
+        });
+        // the values the limiter chose for the other fit properties
+        this.fitPropertyValues = {};
+        (this.fitProperties || []).forEach(({ property }) => {
+          if (property !== "font-size") {
+            this.fitPropertyValues[property] = this.style.getPropertyValue(property);
+          }
+        });
+        if (this.fitGroup) {
+          this.individualFontSize = this.fontSize;
+          const groupFontSize = fitGroup(this.fitGroup, this);
+          if (groupFontSize !== undefined && groupFontSize < this.fontSize) {
+            this.fontSize = groupFontSize;
+            applyFontSize(this, this.fontSteps ? groupFontSize : Math.floor(groupFontSize), this.fontUnit, this.scaleMode);
+          }
         }
       }
+
+      if (this.widthOnly) {
+        // the text can't wrap so there is only ever a single line and it overflows when it is wider than the element
+        this.dataset.lineCount = 1;
+        const contentWidth = getContentWidth(this);
+        const availableWidth = Math.ceil(getInlineSize(this));
+        if (contentWidth > availableWidth) {
+          this.addOverflow({
+            constraint: "width-only",
+            mode: null,
+            measured: contentWidth,
+            allowed: availableWidth,
+            unit: "px",
+          });
+        }
+      } else if (this.maxLines || this.minLines || this.blockLimits) {
+        let count = lineCount(this);
+        this.dataset.lineCount = count.lineCount;
+        if (this.maxLines && count.lineCount > this.maxLines) {
+          this.addOverflow({
+            constraint: "max-lines",
+            mode: null,
+            measured: count.lineCount,
+            allowed: this.maxLines,
+            unit: "lines",
+          });
+        }
+        this.blockLineCounts = count.blocks.map((block) => ({ ...block, overflowing: block.lineCount > block.maxLines }));
+        this.blockLineCounts.forEach((block) => {
+          if (block.overflowing) {
+            this.addOverflow({
+              constraint: "block-max-lines",
+              mode: null,
+              measured: block.lineCount,
+              allowed: block.maxLines,
+              unit: "lines",
+              block: block.element,
+              blockSelector: getSelectorPath(block.element),
+            });
+          }
+        });
+        if (this.minLines && count.lineCount < this.minLines) {
+          this.addUnderflow({
+            constraint: "min-lines",
+            mode: null,
+            measured: count.lineCount,
+            allowed: this.minLines,
+            unit: "lines",
+          });
+        }
+      }
+
+      if (this.maxHeight && !this.widthOnly) {
+        const measurement = measureOverflow(this, this.maxHeight);
+        if (measurement && measurement.measured > measurement.allowed) {
+          this.addOverflow({
+            constraint: "max-height",
+            mode: this.maxHeight,
+            measured: measurement.measured,
+            allowed: measurement.allowed,
+            unit: "px",
+          });
+        } else if (measurement && this.fill) {
+          // the font size can only get so close to the height so allow a gap of up to a line
+          const style = getComputedStyle(this);
+          const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2;
+          if (measurement.measured + lineHeight < measurement.allowed) {
+            this.addUnderflow({
+              constraint: "fill",
+              mode: this.maxHeight,
+              measured: measurement.measured,
+              allowed: measurement.allowed,
+              unit: "px",
+            });
+          }
+        }
+      }
+
+      if (this.maxWidth) {
+        const measurement = measureWidthOverflow(this, this.maxWidth);
+        if (measurement && measurement.measured > measurement.allowed) {
+          this.addOverflow({
+            constraint: "max-width",
+            mode: this.maxWidth,
+            measured: measurement.measured,
+            allowed: measurement.allowed,
+            unit: "px",
+          });
+        }
+      }
+
+      if (this.maxChars || this.maxWords) {
+        const counts = this.countContent();
+        this.dataset.charCount = counts.charCount;
+        this.dataset.wordCount = counts.wordCount;
+        if (this.maxChars && counts.charCount > this.maxChars) {
+          this.addOverflow({
+            constraint: "max-chars",
+            mode: null,
+            measured: counts.charCount,
+            allowed: this.maxChars,
+            unit: "characters",
+          });
+        }
+        if (this.maxWords && counts.wordCount > this.maxWords) {
+          this.addOverflow({
+            constraint: "max-words",
+            mode: null,
+            measured: counts.wordCount,
+            allowed: this.maxWords,
+            unit: "words",
+          });
+        }
+      } else {
+        delete this.dataset.charCount;
+        delete this.dataset.wordCount;
+      }
+
+      if (this.overflow && ["ellipsis", "clip"].includes(this.overflowStrategy)) {
+        this.truncateContent();
+      }
+
+      if (this.overflow && this.logOverflowError) {
+        console.warn(this, this.overflow);
+      }
+      if (this.overflow) {
+        this.dataset.overflow = this.overflow;
+      } else {
+        delete this.dataset.overflow;
+      }
+      if (this.underflow) {
+        this.dataset.underflow = this.underflow;
+      } else {
+        delete this.dataset.underflow;
+      }
+
+      this.updateFormValidity();
+
+      if (
+        this.fontSize !== previousFontSize ||
+        this.dataset.lineCount !== previousLineCount ||
+        JSON.stringify(this.fitPropertyValues || {}) !== previousFitProperties ||
+        this.getBlocksKey() !== previousBlocks
+      ) {
+        this.dispatch("textfit:fit", {
+          fontSize: this.fontSize,
+          previousFontSize,
+          fontUnit: this.fontUnit,
+          properties: { ...(this.fitPropertyValues || {}) },
+          lineCount: this.dataset.lineCount !== undefined ? parseInt(this.dataset.lineCount) : null,
+          blocks: (this.blockLineCounts || []).slice(),
+          iterations: parseInt(this.dataset.fitIterations) || 0,
+        });
+      }
+      if (this.overflow && this.overflow !== previousOverflow) {
+        this.dispatch("textfit:overflow", {
+          message: this.overflow,
+          details: this.overflowDetails,
+          maxLines: this.maxLines,
+          maxHeight: this.maxHeight,
+          lineCount: this.dataset.lineCount !== undefined ? parseInt(this.dataset.lineCount) : null,
+        });
+        reportIncident(this);
+      } else if (!this.overflow && previousOverflow) {
+        this.dispatch("textfit:overflow-cleared", {
+          previousMessage: previousOverflow,
+        });
+      }
+      if (this.underflow && this.underflow !== previousUnderflow) {
+        this.dispatch("textfit:underflow", {
+          message: this.underflow,
+          details: this.underflowDetails,
+        });
+      } else if (!this.underflow && previousUnderflow) {
+        this.dispatch("textfit:underflow-cleared", {
+          previousMessage: previousUnderflow,
+        });
+      }
+
+      if (selection && !isSameSelection(selection, saveSelection(this))) {
+        restoreSelection(this, selection);
+      }
+
+      fontsFitted(this);
+      this.done = true;
+    } finally {
+      // a max-height mode or event listener that throws mustn't stop the element from ever being fitted again
+      this.isValidating = false;
+      // Reconnect observer after changes are done
+      if (this.observer && this.isConnected) {
+        // Use setTimeout to avoid immediate re-triggering from our own changes
+        setTimeout(() => {
+          if (this.observer && this.isConnected && !this.isValidating) {
+            this.observeContent();
+          }
+        }, 10);
+      }
     }
+  }
+  /**
+   * The largest font size that short text can grow to while filling min-lines or the max-height when max-font-size isn't set.
+   * A letter can't be bigger than the space the element is in, so this is the larger of its parent's width and height in the font unit.
+   * @returns {number}
+   */
+  getFillMaxFontSize() {
+    const parent = getLayoutParent(this);
+    const space = parent ? Math.max(getWidth(parent), getHeight(parent)) : Math.max(window.innerWidth, window.innerHeight);
+    // the size of 100 of the font unit in pixels converts the space into the font unit
+    const fontSize = this.style.fontSize;
+    this.style.fontSize = `100${this.fontUnit}`;
+    const pixels = parseFloat(getComputedStyle(this).fontSize);
+    this.style.fontSize = fontSize;
+    return pixels ? Math.max(this.maxFontSize, Math.ceil((space / pixels) * 100)) : this.maxFontSize;
+  }
+
+  /**
+   * Describes the line counts of the parts with their own `data-max-lines` limit so fitting can tell when they change.
+   * @returns {string}
+   */
+  getBlocksKey() {
+    return (this.blockLineCounts || []).map((block) => `${block.lineCount}/${block.maxLines}`).join(" ");
+  }
+
+  /**
+   * Gets the value of an attribute that can change at breakpoints e.g. `max-lines="3; (min-width: 768px) 2"`.
+   * @param {string} name - The name of the attribute.
+   * @param {Set<string>} [mediaQueries] - The media queries used by the value are added to this.
+   * @returns {string|null} - The value that applies right now.
+   */
+  getResponsiveAttribute(name, mediaQueries) {
+    return resolveResponsiveValue(this, this.getAttribute(name), mediaQueries);
+  }
+
+  /**
+   * The language of the element taken from the closest lang attribute
+   */
+  get locale() {
+    const langElement = composedClosest(this, "[lang]");
+    return langElement && langElement.lang ? langElement.lang : undefined;
+  }
 
-    if (this.maxHeight) {
-      if (checkOverflow(this, this.maxHeight)) {
-        this.overflow = "More content has been added than space allows";
+  /**
+   * Gets a message using the element's `message-*` attributes if they are set or the message registry.
+   * Plural forms can be set on the element with attributes like `message-max-lines-one` and `message-max-lines-other`.
+   * @param {string} name - The name of the message in the registry e.g. `maxLines`.
+   * @param {Object} values - The values for the placeholders. `count` is used to pick the plural form.
+   * @returns {string}
+   */
+  getMessage(name, values) {
+    const attribute = `message-${name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+    const plurals = {};
+    ["zero", "one", "two", "few", "many", "other"].forEach((category) => {
+      if (this.hasAttribute(`${attribute}-${category}`)) {
+        plurals[category] = this.getAttribute(`${attribute}-${category}`);
       }
+    });
+    if (this.hasAttribute(attribute)) {
+      plurals.other = this.getAttribute(attribute);
     }
+    if (plurals.other !== undefined) {
+      return formatMessage(plurals, values, this.locale);
+    }
+    return getMessage(name, values, this.locale);
+  }
 
-    if (this.overflow && this.logOverflowError) {
-      console.warn(this, this.overflow);
+  /**
+   * Records a failed constraint. The overflow message is the message of the first constraint that failed, the same one overflowDetails describes.
+   * @param {OverflowFailure} failure - The constraint that failed.
+   */
+  addOverflow(failure) {
+    failure.message = this.getFailureMessage(failure);
+    this.overflowFailures.push(failure);
+    if (!this.overflow) {
+      this.overflow = failure.message;
     }
-    if (this.overflow) {
-      this.dataset.overflow = this.overflow;
+  }
+
+  /**
+   * Records a failed min-lines or fill constraint and sets the underflow message for it.
+   * @param {OverflowFailure} failure - The constraint that failed.
+   */
+  addUnderflow(failure) {
+    failure.message = this.getFailureMessage(failure);
+    this.underflowFailures.push(failure);
+    if (!this.underflow) {
+      this.underflow = failure.message;
+    }
+  }
+
+  /**
+   * Builds the message for a failed constraint from the message named after it e.g. `max-lines` uses `maxLines`.
+   * @param {OverflowFailure} failure - The constraint that failed.
+   * @returns {string}
+   */
+  getFailureMessage(failure) {
+    const element = this;
+    const name = failure.constraint.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+    const values = {
+      count: failure.allowed,
+      measured: failure.measured,
+      allowed: failure.allowed,
+      maxLines: this.maxLines,
+      minLines: this.minLines,
+      maxHeight: this.maxHeight,
+      maxWidth: this.maxWidth,
+      maxChars: this.maxChars,
+      maxWords: this.maxWords,
+      overflowPx: failure.unit === "px" ? Math.ceil(failure.measured - failure.allowed) : undefined,
+      get lineCount() {
+        return element.dataset.lineCount !== undefined ? parseInt(element.dataset.lineCount) : lineCount(element).lineCount;
+      },
+      get charCount() {
+        return element.countContent().charCount;
+      },
+      get wordCount() {
+        return element.countContent().wordCount;
+      },
+    };
+    return this.getMessage(name, values);
+  }
+
+  /**
+   * Sets the form value and validity from the content and the last validation result.
+   */
+  updateFormValidity() {
+    if (!this.internals) return;
+    const value = this.value;
+    this.internals.setFormValue(value, value);
+    if (this.hasAttribute("required") && !value) {
+      this.internals.setValidity({ valueMissing: true }, this.getMessage("required", {}));
+    } else if (this.overflow) {
+      this.internals.setValidity({ tooLong: true }, this.overflow);
     } else {
-      delete this.dataset.overflow;
-    }
-
-    // Reconnect observer after changes are done
-    if (this.observer && this.isConnected) {
-      // Use setTimeout to avoid immediate re-triggering from our own changes
-      setTimeout(() => {
-        if (this.observer && this.isConnected && !this.isValidating) {
-          this.observer.observe(this, {
-            attributes: false, // Don't watch attributes to prevent self-triggering
-            childList: true,   // Watch for added/removed nodes
-            subtree: true,     // Watch all descendants  
-            characterData: true // Watch for text content changes (typing)
-          });
+      this.internals.setValidity({});
+    }
+  }
+
+  /**
+   * Counts the characters and words in the content using the language of the element.
+   * @param {string} [text] - The text to count. Defaults to the visible text content.
+   * @returns {{charCount: number, wordCount: number}}
+   */
+  countContent(text = this.renderedText.replace(/\s+/g, " ").trim()) {
+    return {
+      charCount: countGraphemes(text, this.locale),
+      wordCount: countWords(text, this.locale),
+    };
+  }
+
+  /**
+   * Checks if the content currently fits within the max-lines, data-max-lines, max-height, max-width, max-chars, max-words and width-only constraints.
+   * @returns {boolean}
+   */
+  contentFits() {
+    if (this.maxChars || this.maxWords) {
+      const counts = this.countContent();
+      if ((this.maxChars && counts.charCount > this.maxChars) || (this.maxWords && counts.wordCount > this.maxWords)) {
+        return false;
+      }
+    }
+    if (this.maxWidth && checkWidthOverflow(this, this.maxWidth)) {
+      return false;
+    }
+    if (this.widthOnly) {
+      return getContentWidth(this) <= Math.ceil(getInlineSize(this));
+    }
+    if (this.maxLines || this.blockLimits) {
+      const count = lineCount(this);
+      if (
+        (this.maxLines && count.lineCount > this.maxLines) ||
+        count.blocks.some((block) => block.lineCount > block.maxLines)
+      ) {
+        return false;
+      }
+    }
+    if (this.maxHeight && checkOverflow(this, this.maxHeight)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Checks if the content would still fit at the smallest font size, and the tightest values of the other fit properties, after some text replaced part of it.
+   * The text is edited in place to try it out and then put back without replacing any of the nodes.
+   * @param {SavedSelection} target - Where the text would be inserted.
+   * @param {string} text - The text to insert. New lines are inserted as line breaks.
+   * @returns {boolean}
+   */
+  inputFits(target, text) {
+    const previousFontSize = this.style.fontSize;
+    const previousZoom = this.style.zoom;
+    const properties = (this.fitProperties || []).filter(({ property }) => property !== "font-size");
+    const previousProperties = properties.map(({ property }) => ({
+      property,
+      value: this.style.getPropertyValue(property),
+      priority: this.style.getPropertyPriority(property),
+    }));
+    const undo = previewEdit(this, target, text);
+    applyFontSize(this, this.smallestFontSize, this.fontUnit, this.scaleMode);
+    properties.forEach(({ property, min, unit }) => this.style.setProperty(property, parseFloat(min.toFixed(4)) + unit));
+    const fits = this.contentFits();
+    this.style.fontSize = previousFontSize;
+    this.style.zoom = previousZoom;
+    previousProperties.forEach(({ property, value, priority }) => {
+      if (value) {
+        this.style.setProperty(property, value, priority);
+      } else {
+        this.style.removeProperty(property);
+      }
+    });
+    undo();
+    return fits;
+  }
+
+  /**
+   * Stops typing, pasting and dropping content that wouldn't fit even at the smallest font size when the `enforce` attribute is set.
+   * Input that fits is left to the browser so native undo and framework input handling keep working.
+   * Pasted and dropped text is cut down to the most that fits instead of being rejected.
+   * @param {InputEvent} e - The beforeinput event.
+   */
+  enforceInput(e) {
+    // composition can't be cancelled so IME input is only reported as overflowing once it is done
+    if (!this.hasAttribute("enforce") || !this.isContentEditable || e.isComposing || !e.inputType.startsWith("insert")) {
+      return;
+    }
+    const lineBreak = ["insertParagraph", "insertLineBreak"].includes(e.inputType);
+    let text = e.data;
+    if (lineBreak) {
+      text = "\n";
+    } else if (text === null && e.dataTransfer) {
+      text = e.dataTransfer.getData("text/plain");
+    }
+    const ranges = e.getTargetRanges ? e.getTargetRanges() : [];
+    const target = saveSelection(this, ranges[0]);
+    if (text === null || !target) return;
+
+    // truncated content is measured as it is shown. Putting back what was cut off here would move the selection the target was saved
+    // from, and once truncated content is edited the edited content is kept instead of what was cut off anyway
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+    let accepted = text;
+    if (!this.inputFits(target, text)) {
+      accepted = "";
+      if (!lineBreak && e.inputType !== "insertText") {
+        // binary search for the most graphemes of the pasted text that still fit
+        const graphemes = splitGraphemes(text, this.locale);
+        let low = 1;
+        let high = graphemes.length - 1;
+        while (low <= high) {
+          const mid = Math.floor((low + high) / 2);
+          const candidate = graphemes.slice(0, mid).join("");
+          if (this.inputFits(target, candidate)) {
+            accepted = candidate;
+            low = mid + 1;
+          } else {
+            high = mid - 1;
+          }
         }
-      }, 10);
+      }
+    }
+    if (this.observer) {
+      this.observeContent();
+    }
+    if (accepted === text) return;
+
+    e.preventDefault();
+    if (accepted) {
+      // only the part of the pasted or dropped text that fits is inserted
+      const range = toRange(this, target);
+      range.deleteContents();
+      range.insertNode(document.createTextNode(accepted));
+      restoreSelection(this, { start: target.start + accepted.length, end: target.start + accepted.length });
+      this.dispatchEvent(new InputEvent("input", { bubbles: true, composed: true, inputType: e.inputType, data: accepted }));
+    }
+    this.dispatch("textfit:input-limited", {
+      inputType: e.inputType,
+      text,
+      accepted,
+    });
+  }
+
+  /**
+   * Cuts the content at the last word that fits. The full text is kept in the title and aria-label.
+   */
+  truncateContent() {
+    const marker = this.overflowStrategy === "ellipsis" ? "…" : "";
+    this.truncation = truncate(this, () => this.contentFits(), marker);
+    if (!this.truncation) return;
+    this.truncation.title = this.getAttribute("title");
+    this.truncation.ariaLabel = this.getAttribute("aria-label");
+    const fullText = this.truncation.fullText.replace(/\s+/g, " ").trim();
+    this.setAttribute("title", fullText);
+    this.setAttribute("aria-label", fullText);
+    this.dataset.truncated = "";
+  }
+
+  /**
+   * Puts back the content that was cut off by truncateContent along with the original title and aria-label.
+   */
+  restoreTruncation() {
+    if (!this.truncation) return;
+    restore(this, this.truncation);
+    const { title, ariaLabel } = this.truncation;
+    if (title === null) {
+      this.removeAttribute("title");
+    } else {
+      this.setAttribute("title", title);
+    }
+    if (ariaLabel === null) {
+      this.removeAttribute("aria-label");
+    } else {
+      this.setAttribute("aria-label", ariaLabel);
     }
+    delete this.dataset.truncated;
+    this.truncation = null;
+  }
 
-    this.done = true;
-    this.isValidating = false; // Reset flag
+  /**
+   * Dispatches a bubbling and composed CustomEvent from the element so frameworks can listen for fitting results.
+   * @param {string} type - The event name e.g. `textfit:fit`
+   * @param {Object} detail - The event payload
+   */
+  dispatch(type, detail) {
+    this.dispatchEvent(
+      new CustomEvent(type, {
+        detail,
+        bubbles: true,
+        composed: true,
+      })
+    );
   }
   get lineCount() {
     return lineCount(this).lineCount;
   }
+
+  /**
+   * Get every rendered line in order with its text, its box and the block it belongs to
+   * @returns {Array<import("./line-count.js").RenderedLine>}
+   */
+  getLines() {
+    return getLines(this);
+  }
   get height() {
     return getHeight(this);
   }
@@ -173,6 +892,34 @@ class TextFit extends HTMLElement {
     return getWidth(this);
   }
   
+  /**
+   * Checks if fitting should wait because the element is hidden, like inside a closed tab or `<details>`,
+   * or because it has the `lazy` attribute and is far away from the viewport. If so it is fitted when it becomes visible.
+   * @returns {boolean}
+   */
+  shouldDefer() {
+    const rect = this.getBoundingClientRect();
+    if (!this.getClientRects().length || !rect.width) {
+      deferUntilVisible(this);
+      return true;
+    }
+    if (this.hasAttribute("lazy")) {
+      // by default anything within one screen of the viewport is fitted
+      const margin = parseFloat(this.getAttribute("lazy"));
+      const distance = isNaN(margin) ? window.innerHeight : margin;
+      const nearViewport =
+        rect.bottom > -distance &&
+        rect.top < window.innerHeight + distance &&
+        rect.right > -distance &&
+        rect.left < window.innerWidth + distance;
+      if (!nearViewport) {
+        deferUntilVisible(this, distance);
+        return true;
+      }
+    }
+    return false;
+  }
+
   /**
    * Manually trigger text fitting validation
    * Useful for when content changes programmatically
@@ -180,6 +927,29 @@ class TextFit extends HTMLElement {
   refresh() {
     this.runValidation();
   }
+
+  /**
+   * Queue text fitting validation for the next frame. Queued elements are fitted once per frame
+   * with visible and high priority elements first. Use refresh to fit straight away
+   */
+  requestValidation() {
+    schedule(this);
+  }
+
+  /**
+   * True when every font used by the element and its children has loaded
+   */
+  get fontsLoaded() {
+    return fontsLoaded(this);
+  }
+
+  /**
+   * A promise that resolves with the element once it has been fitted with the fonts used by it and its children.
+   * A new promise is made when one of its fonts starts loading and it is resolved by the refit once the font has loaded
+   */
+  get fontsReady() {
+    return whenFontsReady(this);
+  }
   
   /**
    * Get the current overflow status
@@ -187,6 +957,177 @@ class TextFit extends HTMLElement {
   get overflowStatus() {
     return this.overflow || null;
   }
+
+  /**
+   * The smallest font size fitting can use. This is the first font step when a type scale is set
+   */
+  get smallestFontSize() {
+    return this.fontSteps ? this.fontSteps[0] : this.minFontSize;
+  }
+
+  /**
+   * Get the full text content even if it has been cut off by the overflow strategy
+   */
+  get fullText() {
+    return this.truncation ? this.truncation.fullText : this.renderedText;
+  }
+
+  /**
+   * Get the text that is currently rendered including any content slotted into the element
+   */
+  get renderedText() {
+    return getComposedTextNodes(this).map((node) => node.data).join("");
+  }
+
+  /**
+   * The number of characters in the content counted as graphemes
+   */
+  get charCount() {
+    return this.countContent(this.value).charCount;
+  }
+
+  /**
+   * The number of words in the content
+   */
+  get wordCount() {
+    return this.countContent(this.value).wordCount;
+  }
+
+  /**
+   * The value submitted with a form. This is the full text content with whitespace collapsed
+   */
+  get value() {
+    return this.fullText.replace(/\s+/g, " ").trim();
+  }
+  set value(value) {
+    this.restoreTruncation();
+    this.textContent = value;
+  }
+  get name() {
+    return this.getAttribute("name");
+  }
+  get form() {
+    return this.internals ? this.internals.form : null;
+  }
+  get validity() {
+    return this.internals ? this.internals.validity : undefined;
+  }
+  get validationMessage() {
+    return this.internals ? this.internals.validationMessage : "";
+  }
+  get willValidate() {
+    return this.internals ? this.internals.willValidate : false;
+  }
+  checkValidity() {
+    return this.internals ? this.internals.checkValidity() : true;
+  }
+  reportValidity() {
+    return this.internals ? this.internals.reportValidity() : true;
+  }
+
+  /**
+   * Put back the content the element had when it was first connected when the form is reset
+   */
+  formResetCallback() {
+    if (this.defaultContent === undefined) return;
+    this.restoreTruncation();
+    this.innerHTML = this.defaultContent;
+    this.runValidation();
+  }
+
+  /**
+   * Put back the value after the browser restores the form e.g. after navigating back
+   * @param {string} state - The value saved by setFormValue
+   */
+  formStateRestoreCallback(state) {
+    if (typeof state !== "string") return;
+    this.value = state;
+    this.runValidation();
+  }
+
+  /**
+   * Stop editing when a parent fieldset or the form is disabled
+   * @param {boolean} disabled
+   */
+  formDisabledCallback(disabled) {
+    if (disabled && this.isContentEditable) {
+      this.wasContentEditable = this.getAttribute("contenteditable");
+      this.setAttribute("contenteditable", "false");
+    } else if (!disabled && this.wasContentEditable !== undefined) {
+      this.setAttribute("contenteditable", this.wasContentEditable);
+      this.wasContentEditable = undefined;
+    }
+  }
+
+  /**
+   * @typedef {Object} OverflowFailure
+   * @property {string} constraint - The constraint that failed. One of `max-lines`, `block-max-lines`, `max-height`, `max-width`, `max-chars`, `max-words` or `width-only`, or `min-lines` or `fill` for underflow.
+   * @property {string|null} mode - The max-height or max-width mode that was used e.g. `parent`, `css` or `30%`.
+   * @property {number} measured - The measured value.
+   * @property {number} allowed - The maximum value allowed by the constraint.
+   * @property {string} unit - The unit of the measured and allowed values. One of `lines`, `px`, `characters` or `words`.
+   * @property {string} message - The message for this constraint.
+   * @property {HTMLElement} [block] - For `block-max-lines` the descendant whose `data-max-lines` limit was broken.
+   * @property {string} [blockSelector] - A css selector path to the block.
+   */
+  /**
+   * Get a structured description of why the content is overflowing or null if it fits.
+   * The top level constraint, mode, measured, allowed and unit are taken from the first constraint that failed.
+   * @returns {OverflowFailure & {message: string, failures: Array<OverflowFailure>, atMinFontSize: boolean, fontSize: number, minFontSize: number, fontUnit: string, sides: Object|null}|null}
+   */
+  get overflowDetails() {
+    if (!this.overflow || !this.overflowFailures || !this.overflowFailures.length) {
+      return null;
+    }
+    let sides = null;
+    const parent = getLayoutParent(this);
+    if (parent) {
+      const boundingBox = detectBoundingOverflow(this, parent);
+      sides = {
+        top: boundingBox.overflowTop,
+        bottom: boundingBox.overflowBottom,
+        left: boundingBox.overflowLeft,
+        right: boundingBox.overflowRight,
+      };
+    }
+    return {
+      message: this.overflow,
+      ...this.overflowFailures[0],
+      failures: this.overflowFailures.slice(),
+      atMinFontSize: this.dynamicFontSize && typeof this.fontSize === "number"
+        ? Math.floor(this.fontSize) <= this.smallestFontSize
+        : false,
+      fontSize: this.fontSize,
+      minFontSize: this.smallestFontSize,
+      fontUnit: this.fontUnit,
+      sides,
+    };
+  }
+
+  /**
+   * Get the current underflow status
+   */
+  get underflowStatus() {
+    return this.underflow || null;
+  }
+
+  /**
+   * Get a structured description of why the content doesn't fill its min-lines or max-height or null if it does.
+   * @returns {OverflowFailure & {message: string, failures: Array<OverflowFailure>}|null}
+   */
+  get underflowDetails() {
+    if (!this.underflow || !this.underflowFailures || !this.underflowFailures.length) {
+      return null;
+    }
+    return {
+      message: this.underflow,
+      ...this.underflowFailures[0],
+      failures: this.underflowFailures.slice(),
+      fontSize: this.fontSize,
+      maxFontSize: this.fillMaxFontSize,
+      fontUnit: this.fontUnit,
+    };
+  }
   addClassNames() {
     if (this.hasAttribute("classname")) {
       this.removeAttribute("class");
@@ -204,11 +1145,25 @@ class TextFit extends HTMLElement {
     }
   }
   connectedCallback() {
+    if (this.defaultContent === undefined) {
+      this.defaultContent = this.innerHTML;
+    }
     this.classList.add(styles);
     this.addClassNames();
+    this.adoptStyles();
 
     // Initialize observers once
     this.initializeObservers();
+    // fonts can load after the page has, like lazy font faces, `font-display: swap` or a theme change, so refit when they do
+    watchFonts(this);
+    track(this);
+
+    // elements with content-visibility: auto skip rendering while off screen so fit them once they are rendered
+    this.addEventListener("contentvisibilityautostatechange", this.handleContentVisibility);
+    // slotted content is outside of the element so the mutation observer needs to follow it when it changes
+    this.addEventListener("slotchange", this.handleSlotChange);
+    // stop typing that wouldn't fit when the enforce attribute is set
+    this.addEventListener("beforeinput", this.handleBeforeInput);
 
     // Handle font loading and initial validation
     Promise.all([
@@ -221,10 +1176,7 @@ class TextFit extends HTMLElement {
         }
       })
     ]).then(() => {
-      this.runValidation();
-      
-      // Add window resize listener for all browsers (ResizeObserver only watches element, not window)
-      window.addEventListener("resize", this.handleResize);
+      this.requestValidation();
     });
   }
 
@@ -232,45 +1184,67 @@ class TextFit extends HTMLElement {
     // Setup mutation observer with proper debouncing
     this.handleMutation = debounce(() => {
       if (!this.isValidating) {
-        this.runValidation();
+        this.requestValidation();
       }
     }, this.debounceTime || 50); // Shorter debounce for better typing responsiveness
     
     this.observer = new MutationObserver(this.handleMutation);
     
     // Start observing immediately for text changes
-    this.observer.observe(this, {
+    this.observeContent();
+    
+    // Resizes of the element and the window are handled by the shared scheduler
+    observe(this);
+  }
+  /**
+   * Watches the content for changes including any nodes that are slotted into the element
+   */
+  observeContent() {
+    const options = {
       attributes: false, // Don't watch attributes to prevent self-triggering
       childList: true,   // Watch for added/removed nodes
       subtree: true,     // Watch all descendants
       characterData: true // Watch for text content changes (important for typing)
+    };
+    this.observer.observe(this, options);
+    this.querySelectorAll("slot").forEach((slot) => {
+      slot.assignedNodes({ flatten: true }).forEach((node) => this.observer.observe(node, options));
     });
-    
-    // Setup ResizeObserver for better resize handling
-    if (window.ResizeObserver) {
-      this.resizeObserver = new ResizeObserver(
-        debounce((entries) => {
-          // Only run validation if not currently validating
-          if (!this.isValidating) {
-            for (let entry of entries) {
-              if (entry.target === this) {
-                this.runValidation();
-                break;
-              }
-            }
-          }
-        }, 100)
-      );
-      this.resizeObserver.observe(this);
+  }
+
+  /**
+   * Emotion adds its styles to the document head which doesn't reach into shadow roots.
+   * When the element is rendered inside a shadow root the same styles are added to that root as well.
+   */
+  adoptStyles() {
+    const root = this.getRootNode();
+    if (!(root instanceof ShadowRoot) || adoptedRoots.has(root)) return;
+    adoptedRoots.add(root);
+    const rules = [];
+    cache.sheet.tags.forEach((tag) => {
+      if (tag.sheet) {
+        Array.from(tag.sheet.cssRules).forEach((rule) => rules.push(rule.cssText));
+      }
+    });
+    const text = rules.join("\n");
+    if (root.adoptedStyleSheets && window.CSSStyleSheet && CSSStyleSheet.prototype.replaceSync) {
+      const sheet = new CSSStyleSheet();
+      sheet.replaceSync(text);
+      root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+    } else {
+      const style = document.createElement("style");
+      style.textContent = text;
+      root.appendChild(style);
     }
   }
+
   attributeChangedCallback(name) {
     if (name === "classname") {
       this.addClassNames();
     }
     // Only run validation if not currently validating and component is connected
     if (!this.isValidating && this.isConnected) {
-      this.runValidation();
+      this.requestValidation();
     }
   }
   disconnectedCallback() {
@@ -280,13 +1254,22 @@ class TextFit extends HTMLElement {
       this.observer = null;
     }
     
-    if (this.resizeObserver) {
-      this.resizeObserver.disconnect();
-      this.resizeObserver = null;
+    // Stop the shared scheduler from watching or fitting this element
+    unobserve(this);
+    unwatchFonts(this);
+    untrack(this);
+    // leave the content as it was authored
+    restoreDescendants(this.scaledDescendants);
+    this.scaledDescendants = null;
+    watchMediaQueries(this, new Set());
+    this.removeEventListener("contentvisibilityautostatechange", this.handleContentVisibility);
+    this.removeEventListener("slotchange", this.handleSlotChange);
+    this.removeEventListener("beforeinput", this.handleBeforeInput);
+
+    if (this.fitGroup) {
+      leaveFitGroup(this.fitGroup, this);
+      this.fitGroup = false;
     }
-    
-    // Remove window resize listener (use the same bound function)
-    window.removeEventListener("resize", this.handleResize);
   }
 }
 
@@ -0,0 +1,110 @@
+import { getComposedTextNodes } from "./utilities.js";
+
+/**
+ * @typedef {Object} Truncation
+ * @property {Array<Text>} nodes - The text nodes that were changed.
+ * @property {Array<string>} texts - The original text of each node.
+ * @property {string} fullText - The original text content of the element.
+ * @property {string} truncatedText - The text content of the element after truncating so we can tell if it has been edited since.
+ */
+
+const getText = (nodes) => nodes.map((node) => node.data).join("");
+
+/**
+ * Finds every position in the text nodes of an element where a word ends.
+ * Walks all text nodes so nested inline markup like `<em>` and `<strong>` and slotted content is handled.
+ * @param {Array<Text>} nodes - The text nodes in document order.
+ * @returns {Array<{index: number, offset: number}>} - The node index and character offset of each word end.
+ */
+const wordEnds = (nodes) => {
+  const ends = [];
+  nodes.forEach((node, index) => {
+    const words = /\S+/g;
+    let match;
+    while ((match = words.exec(node.data))) {
+      ends.push({ index, offset: match.index + match[0].length });
+    }
+  });
+  return ends;
+};
+
+/**
+ * Sets the text nodes so only the content up to the given word end is shown followed by the marker.
+ * @param {Array<Text>} nodes - The text nodes in document order.
+ * @param {Array<string>} texts - The original text of each node.
+ * @param {{index: number, offset: number}|undefined} end - Where to cut the text. Undefined hides all of the text.
+ * @param {string} marker - The text that is added after the cut e.g. an ellipsis.
+ */
+const cutAt = (nodes, texts, end, marker) => {
+  nodes.forEach((node, index) => {
+    if (end && index < end.index) {
+      node.data = texts[index];
+    } else if (end && index === end.index) {
+      // don't leave dangling punctuation before the ellipsis
+      const text = texts[index].slice(0, end.offset);
+      node.data = (marker ? text.replace(/[\s.,;:!?\-–—]+$/, "") : text) + marker;
+    } else if (!end && index === 0) {
+      node.data = marker;
+    } else {
+      node.data = "";
+    }
+  });
+};
+
+/**
+ * Cuts the content of an element at the last word that still fits and adds a marker such as an ellipsis.
+ * The markup of the element is kept as is and only the text nodes are changed so it can be restored later.
+ * @param {HTMLElement} el - The element to truncate.
+ * @param {Function} fits - Returns true if the element's content currently fits.
+ * @param {string} [marker="…"] - The text added after the last word that fits. Use an empty string to just clip the text.
+ * @returns {Truncation|null} - What is needed to restore the content or null if there was nothing to truncate.
+ */
+export const truncate = (el, fits, marker = "…") => {
+  const nodes = getComposedTextNodes(el);
+  if (!nodes.length) return null;
+
+  const texts = nodes.map((node) => node.data);
+  const fullText = getText(nodes);
+  const ends = wordEnds(nodes);
+
+  // Binary search for the most words that still fit
+  let low = 0;
+  // the full content doesn't fit so the last word is never kept
+  let high = ends.length - 2;
+  let best = -1;
+  while (low <= high) {
+    const mid = Math.floor((high + low) / 2);
+    cutAt(nodes, texts, ends[mid], marker);
+    if (fits()) {
+      best = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  cutAt(nodes, texts, ends[best], marker);
+
+  return {
+    nodes,
+    texts,
+    fullText,
+    truncatedText: getText(nodes),
+  };
+};
+
+/**
+ * Puts back the content that was removed by truncate.
+ * If the content has been edited since it was truncated then the edited content is kept.
+ * @param {HTMLElement} el - The element that was truncated.
+ * @param {Truncation} truncation - The value returned by truncate.
+ * @returns {boolean} - True if the original content was restored.
+ */
+export const restore = (el, truncation) => {
+  if (!truncation || getText(getComposedTextNodes(el)) !== truncation.truncatedText) {
+    return false;
+  }
+  truncation.nodes.forEach((node, index) => {
+    node.data = truncation.texts[index];
+  });
+  return true;
+};
@@ -6,6 +6,107 @@
  */
 const getRect = (element) => element.getBoundingClientRect();
 
+/**
+ * Gets the parent of a node in the composed tree. This follows slotted nodes to the slot they are rendered in
+ * and crosses from a shadow root to its host.
+ * @param {Node} node - The node to get the parent of.
+ * @returns {Node|null} The composed parent.
+ */
+export const getComposedParent = (node) => {
+  if (node.assignedSlot) {
+    return node.assignedSlot;
+  }
+  const { parentNode } = node;
+  if (parentNode && parentNode.nodeType === Node.DOCUMENT_FRAGMENT_NODE && parentNode.host) {
+    return parentNode.host;
+  }
+  return parentNode;
+};
+
+/**
+ * Gets the closest composed ancestor that has its own box. Slots are skipped as they are `display: contents`.
+ * @param {Node} node - The node to get the parent of.
+ * @returns {HTMLElement|null} The element that lays out the node.
+ */
+export const getLayoutParent = (node) => {
+  let parent = getComposedParent(node);
+  while (parent && (parent.nodeType !== Node.ELEMENT_NODE || parent.localName === "slot")) {
+    parent = getComposedParent(parent);
+  }
+  return parent;
+};
+
+/**
+ * Checks if a node is inside an element in the composed tree, following slots and shadow roots.
+ * @param {Node} ancestor - The element that might contain the node.
+ * @param {Node} node - The node to look for.
+ * @returns {boolean}
+ */
+export const composedContains = (ancestor, node) => {
+  let current = node;
+  while (current) {
+    if (current === ancestor) return true;
+    current = getComposedParent(current);
+  }
+  return false;
+};
+
+/**
+ * Finds the closest element matching a selector in the composed tree, crossing shadow roots.
+ * @param {HTMLElement} el - The element to start from.
+ * @param {string} selector - The css selector to match.
+ * @returns {HTMLElement|null}
+ */
+export const composedClosest = (el, selector) => {
+  let current = el;
+  while (current) {
+    if (current.nodeType === Node.ELEMENT_NODE && current.matches(selector)) {
+      return current;
+    }
+    current = getComposedParent(current);
+  }
+  return null;
+};
+
+/**
+ * Gets the nodes that are rendered inside a node in the composed tree. This is the shadow root's children when the node has one
+ * and the nodes assigned to a slot.
+ * @param {Node} node - The node to get the children of.
+ * @returns {Array<Node>} The rendered children.
+ */
+export const getComposedChildNodes = (node) => {
+  if (node.shadowRoot) {
+    return Array.from(node.shadowRoot.childNodes);
+  }
+  if (node.localName === "slot") {
+    // slots render the nodes assigned to them or their fallback content when nothing is assigned
+    const assigned = node.assignedNodes({ flatten: true });
+    if (assigned.length) return assigned;
+  }
+  return Array.from(node.childNodes);
+};
+
+/**
+ * Gets every text node that is rendered inside an element in order. Unlike a TreeWalker this walks the
+ * composed tree so text that is slotted into the element or rendered by the shadow root of a child is included.
+ * @param {Node} root - The element to get the text nodes of.
+ * @returns {Array<Text>} The text nodes.
+ */
+export const getComposedTextNodes = (root) => {
+  const nodes = [];
+  const walk = (node) => {
+    getComposedChildNodes(node).forEach((child) => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        nodes.push(child);
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        walk(child);
+      }
+    });
+  };
+  walk(root);
+  return nodes;
+};
+
 /**
  * Calculates the height of an element, taking into account padding and border widths.
  * @param {HTMLElement} el - The element for which to calculate the height.
@@ -48,6 +149,197 @@ export const getWidth = (el) => {
   return width;
 };
 
+/**
+ * Gets the direction lines are stacked in from the element's writing mode.
+ * @param {HTMLElement} el - The element to check.
+ * @returns {"horizontal"|"vertical-rl"|"vertical-lr"} `horizontal` for horizontal-tb, otherwise the direction the lines move in.
+ */
+export const getWritingMode = (el) => {
+  const writingMode = window.getComputedStyle(el, null).getPropertyValue("writing-mode");
+  if (!writingMode || !/^(vertical|sideways|tb)/.test(writingMode)) {
+    return "horizontal";
+  }
+  return writingMode.endsWith("lr") ? "vertical-lr" : "vertical-rl";
+};
+
+/**
+ * Checks if the text in an element is laid out vertically e.g. `writing-mode: vertical-rl` for Japanese.
+ * @param {HTMLElement} el - The element to check.
+ * @returns {boolean}
+ */
+export const isVertical = (el) => getWritingMode(el) !== "horizontal";
+
+/**
+ * Calculates the size of an element along the direction text flows in. This is the width for horizontal text and the height for vertical text.
+ * @param {HTMLElement} el - The element to measure.
+ * @param {boolean} [vertical] - If the text is vertical. Worked out from the element if it isn't passed in.
+ * @returns {number} The inline size of the element.
+ */
+export const getInlineSize = (el, vertical = isVertical(el)) => (vertical ? getHeight(el) : getWidth(el));
+
+/**
+ * Calculates the size of an element along the direction lines are stacked in. This is the height for horizontal text and the width for vertical text.
+ * @param {HTMLElement} el - The element to measure.
+ * @param {boolean} [vertical] - If the text is vertical. Worked out from the element if it isn't passed in.
+ * @returns {number} The block size of the element.
+ */
+export const getBlockSize = (el, vertical = isVertical(el)) => (vertical ? getWidth(el) : getHeight(el));
+
+/**
+ * Gets the scroll size of an element along the direction lines are stacked in.
+ * @param {HTMLElement} el - The element to measure.
+ * @returns {number} The scrollHeight for horizontal text or the scrollWidth for vertical text.
+ */
+export const getScrollBlockSize = (el) => (isVertical(el) ? el.scrollWidth : el.scrollHeight);
+
+/**
+ * Gets the scroll size of an element along the direction text flows in.
+ * @param {HTMLElement} el - The element to measure.
+ * @returns {number} The scrollWidth for horizontal text or the scrollHeight for vertical text.
+ */
+export const getScrollInlineSize = (el) => (isVertical(el) ? el.scrollHeight : el.scrollWidth);
+
+/**
+ * Gets the position of the edge of a box where new lines are added so boxes can be compared in any writing mode.
+ * Larger values are always further along. For vertical-rl the left edge is negated as lines move to the left.
+ * @param {DOMRect} rect - The box.
+ * @param {string} writingMode - The value from getWritingMode.
+ * @returns {number}
+ */
+export const getBlockEnd = (rect, writingMode) => {
+  if (writingMode === "vertical-rl") return -rect.left;
+  if (writingMode === "vertical-lr") return rect.right;
+  return rect.bottom;
+};
+
+/**
+ * Calculates the width of the rendered text inside an element using the Range API. Unlike getWidth this is not limited by the element's own box so it can be used to measure text that doesn't wrap.
+ * Each text node in the composed tree is measured so slotted text is included.
+ * For vertical text this is the height of the text as that is the direction it flows in.
+ * @param {HTMLElement} el - The element for which to measure the content width.
+ * @param {boolean} [vertical] - If the text is vertical. Worked out from the element if it isn't passed in.
+ * @returns {number} The width of the element's content.
+ */
+export const getContentWidth = (el, vertical = isVertical(el)) => {
+  const { start, end } = getContentInlineBounds(el, vertical);
+  return end > start ? end - start : 0;
+};
+
+/**
+ * Finds where the rendered text inside an element starts and ends along the direction text flows in.
+ * @param {HTMLElement} el - The element to measure.
+ * @param {boolean} [vertical] - If the text is vertical. Worked out from the element if it isn't passed in.
+ * @returns {{start: number, end: number}} The left and right edges of the text, or the top and bottom edges for vertical text. Infinite when there is no text.
+ */
+export const getContentInlineBounds = (el, vertical = isVertical(el)) => {
+  const range = document.createRange();
+  let start = Infinity;
+  let end = -Infinity;
+  getComposedTextNodes(el).forEach((node) => {
+    range.selectNodeContents(node);
+    const rect = range.getBoundingClientRect();
+    if (rect.width && rect.height) {
+      start = Math.min(start, vertical ? rect.top : rect.left);
+      end = Math.max(end, vertical ? rect.bottom : rect.right);
+    }
+  });
+  return { start, end };
+};
+
+/**
+ * Parses a list of font sizes like `12 14 16 20` or `12, 14, 16` into a sorted list of unique numbers.
+ * @param {string} value - The list of font sizes.
+ * @returns {Array<number>|false} The font sizes from smallest to largest or false if there are none.
+ */
+export const parseFontSteps = (value) => {
+  if (!value) return false;
+  const steps = value
+    .split(/[\s,]+/)
+    .map((step) => parseFloat(step))
+    .filter((step) => !isNaN(step) && step > 0)
+    .sort((a, b) => a - b)
+    .filter((step, index, list) => step !== list[index - 1]);
+  return steps.length ? steps : false;
+};
+
+/**
+ * Parses a list of properties to adjust while fitting like `letter-spacing:-0.03em..0 line-height:1.0..1.3 font-size`.
+ * Each property has a range of values from its tightest to its loosest. `font-size` doesn't have a range as it uses the min and max font size
+ * and is added to the end when it isn't in the list.
+ * @param {string} value - The list of properties in priority order.
+ * @returns {Array<import("./limiter.js").FitProperty>|false} The properties in priority order or false if there are none.
+ */
+export const parseFitProperties = (value) => {
+  if (!value) return false;
+  const properties = [];
+  value.trim().split(/\s+/).forEach((part) => {
+    if (part === "font-size") {
+      properties.push({ property: "font-size" });
+      return;
+    }
+    const match = part.match(/^([a-z-]+):(-?[\d.]+)([a-z%]*)\.\.(-?[\d.]+)([a-z%]*)$/i);
+    if (!match) {
+      console.warn(`textfit: can't parse the fit property "${part}". Use the format property:min..max e.g. letter-spacing:-0.03em..0`);
+      return;
+    }
+    const [, property, from, fromUnit, to, toUnit] = match;
+    if (fromUnit && toUnit && fromUnit !== toUnit) {
+      console.warn(`textfit: the fit property "${part}" uses two different units`);
+      return;
+    }
+    properties.push({
+      property,
+      min: Math.min(parseFloat(from), parseFloat(to)),
+      max: Math.max(parseFloat(from), parseFloat(to)),
+      unit: fromUnit || toUnit,
+    });
+  });
+  if (!properties.some(({ property }) => property === "font-size")) {
+    properties.push({ property: "font-size" });
+  }
+  return properties.length > 1 ? properties : false;
+};
+
+/**
+ * Splits text into graphemes so it can be cut without breaking emoji or combined characters apart.
+ * @param {string} text - The text to split.
+ * @param {string} [locale] - The language of the text.
+ * @returns {Array<string>} The graphemes of the text.
+ */
+export const splitGraphemes = (text, locale) => {
+  if (typeof Intl !== "undefined" && Intl.Segmenter) {
+    return Array.from(new Intl.Segmenter(locale, { granularity: "grapheme" }).segment(text), (part) => part.segment);
+  }
+  return Array.from(text);
+};
+
+/**
+ * Counts the user perceived characters in some text so emoji and combining marks count as a single character.
+ * @param {string} text - The text to count.
+ * @param {string} [locale] - The language of the text.
+ * @returns {number} The number of graphemes in the text.
+ */
+export const countGraphemes = (text, locale) => {
+  if (typeof Intl !== "undefined" && Intl.Segmenter) {
+    return Array.from(new Intl.Segmenter(locale, { granularity: "grapheme" }).segment(text)).length;
+  }
+  return Array.from(text).length;
+};
+
+/**
+ * Counts the words in some text using the word breaking rules of the language.
+ * @param {string} text - The text to count.
+ * @param {string} [locale] - The language of the text.
+ * @returns {number} The number of words in the text.
+ */
+export const countWords = (text, locale) => {
+  if (typeof Intl !== "undefined" && Intl.Segmenter) {
+    return Array.from(new Intl.Segmenter(locale, { granularity: "word" }).segment(text))
+      .filter((segment) => segment.isWordLike).length;
+  }
+  return text.split(/\s+/).filter(Boolean).length;
+};
+
 /**
  * Detects the bounding overflow of an element within a container.
  * @param {HTMLElement} element - The element to detect the overflow for.
@@ -134,82 +426,283 @@ export const detectBoundingOverflow = (element, container) => ({
     },
 });
 
-export const checkOverflow = (element, maxHeightMode) => {
+/**
+ * The max height modes added with registerHeightMode keyed by name.
+ * @type {Map<string, Function>}
+ */
+const heightModes = new Map();
+
+/**
+ * The built in max height modes. These can't be replaced.
+ */
+const builtInHeightModes = ["parent", "outerbox", "innerbox", "css", "self", "onScreen", "closest"];
+
+/**
+ * The unknown max height modes, as they were written in the attribute e.g. `rem(6)`, that have already been warned about so the console isn't flooded while fitting.
+ * @type {Set<string>}
+ */
+const warnedHeightModes = new Set();
+
+/**
+ * Splits a max height mode like `closest(.card)` into its name and arguments.
+ * Arguments are split on commas that aren't inside brackets so selectors like `:is(.a, .b)` are kept whole.
+ * @param {string} maxHeightMode - The max height mode.
+ * @returns {{name: string, args: Array<string>}}
+ */
+export const parseHeightMode = (maxHeightMode) => {
+  const match = String(maxHeightMode).trim().match(/^([\w-]+)\((.*)\)$/);
+  if (!match) return { name: String(maxHeightMode).trim(), args: [] };
+  const args = [];
+  let depth = 0;
+  let current = "";
+  for (const char of match[2]) {
+    if (char === "," && depth === 0) {
+      args.push(current.trim());
+      current = "";
+      continue;
+    }
+    if (char === "(" || char === "[") depth++;
+    if (char === ")" || char === "]") depth--;
+    current += char;
+  }
+  if (current.trim()) args.push(current.trim());
+  return { name: match[1], args };
+};
+
+/**
+ * Adds a max height mode that can be used in the `max-height` attribute.
+ * @param {string} name - The name of the mode e.g. `closest`. It is used as `max-height="closest(.card)"`.
+ * @param {function(HTMLElement, ...string): (OverflowMeasurement|undefined)} fn - Measures the element. It is called with the element and the arguments from the attribute
+ * and returns how much space the content takes up and how much is allowed in pixels, or undefined if it can't be measured.
+ */
+export const registerHeightMode = (name, fn) => {
+  if (typeof fn !== "function") {
+    throw new TypeError("Expected a function");
+  }
+  if (builtInHeightModes.includes(name)) {
+    throw new Error(`The built in max height mode ${name} can't be replaced`);
+  }
+  heightModes.set(name, fn);
+  // warn again if the mode is still used wrongly after it has been added
+  warnedHeightModes.forEach((maxHeightMode) => {
+    if (parseHeightMode(maxHeightMode).name === name) {
+      warnedHeightModes.delete(maxHeightMode);
+    }
+  });
+};
+
+/**
+ * @typedef {Object} OverflowMeasurement
+ * @property {number} measured - The size or edge position of the content in pixels.
+ * @property {number} allowed - The size or edge position that the content is allowed to reach in pixels.
+ */
+/**
+ * Measures how much space the element takes up compared to the space allowed by a max height mode.
+ * @param {HTMLElement} element - The element to measure.
+ * @param {string} maxHeightMode - One of `parent`, `outerbox`, `innerbox`, `css`, `self`, `onScreen`, a mode added with registerHeightMode, a % of the viewport height or a number of pixels.
+ * @returns {OverflowMeasurement|undefined} - The measured and allowed values or undefined if the mode is unknown or can't be measured. Unknown modes log a warning.
+ */
+export const measureOverflow = (element, maxHeightMode) => {
+  // in vertical writing modes the content grows along the block axis which is horizontal
+  const writingMode = getWritingMode(element);
+  const vertical = writingMode !== "horizontal";
   if (maxHeightMode === "parent") {
-    // Check if this element is larger than its parent height. 
-    let scrollHeight = Math.ceil(element.scrollHeight);
+    // Check if this element is larger than its parent height.
+    let scrollHeight = Math.ceil(getScrollBlockSize(element));
     element.dataset.calculatedScrollHeight = scrollHeight;
-    if (scrollHeight > Math.ceil(getHeight(element.parentElement))) {
-      return true
-    }
-    return false
+    const parent = getLayoutParent(element);
+    if (!parent) return undefined;
+    return { measured: scrollHeight, allowed: Math.ceil(getBlockSize(parent, vertical)) };
   } else if (maxHeightMode === "outerbox") {
     // Check if this is elements bounding box is larger than its parent bounding box.
-    if (element.parentNode) {
-      let boundingBox = detectBoundingOverflow(element, element.parentNode);
-      if (boundingBox.collidedBottom) {
-        return true
-      }
+    const parent = getLayoutParent(element);
+    if (parent) {
+      return {
+        measured: getBlockEnd(getRect(element), writingMode),
+        allowed: getBlockEnd(getRect(parent), writingMode),
+      };
     }
-    return false
+    return undefined;
   } else if (maxHeightMode === "innerbox") {
-    // Check if any of the children elements bounding box is larger than the element. 
-    if (element.childNodes) {
-      return element.childNodes.some((child) => {
-        let boundingBox = detectBoundingOverflow(child, element);
-        if (boundingBox.collidedBottom) {
-          return true
-        }
-      });
-    }
-    return false
+    // Check if any of the children elements bounding box is larger than the element.
+    const children = Array.from(element.children);
+    if (!children.length) return undefined;
+    return {
+      measured: Math.max(...children.map((child) => getBlockEnd(getRect(child), writingMode))),
+      allowed: getBlockEnd(getRect(element), writingMode),
+    };
   } else if (maxHeightMode === "css") {
     // Check that the max scrollHeight is not larger than the css max height set on the element.
-    let scrollHeight = Math.ceil(element.scrollHeight);
+    let scrollHeight = Math.ceil(getScrollBlockSize(element));
     element.dataset.calculatedScrollHeight = scrollHeight;
     const computedBlockStyle = window.getComputedStyle(element);
-    const maxHeight = parseFloat(computedBlockStyle.maxHeight);
+    const maxHeight = parseFloat(vertical ? computedBlockStyle.maxWidth : computedBlockStyle.maxHeight);
     if (!maxHeight) {
       console.warn(
         element,
         "There needs to be a max height set on the element if you want to use a CSS mode limiter"
       );
     }
-    if (scrollHeight > Math.ceil(maxHeight)) {
-      return true
-    }
-    return false
+    return { measured: scrollHeight, allowed: Math.ceil(maxHeight) };
   } else if (maxHeightMode === "self") {
-    // Check that the max scrollHeight is not larger than its measured height. 
-    let scrollHeight = Math.ceil(element.scrollHeight);
+    // Check that the max scrollHeight is not larger than its measured height.
+    let scrollHeight = Math.ceil(getScrollBlockSize(element));
     element.dataset.calculatedScrollHeight = scrollHeight;
-    if (scrollHeight > Math.ceil(getHeight(element))) {
-      return true
-    }
-    return false
+    return { measured: scrollHeight, allowed: Math.ceil(getBlockSize(element, vertical)) };
   } else if (maxHeightMode === "onScreen") {
     // check that the element is not clipping the edges of the screen
-    const rect = element.getBoundingClientRect();
-    if (rect.bottom > window.innerHeight) {
-      return true
-    }
-    return false
+    const screenEnd = {
+      horizontal: window.innerHeight,
+      "vertical-rl": 0,
+      "vertical-lr": window.innerWidth,
+    }[writingMode];
+    return { measured: getBlockEnd(getRect(element), writingMode), allowed: screenEnd };
+  }
+  const { name, args } = parseHeightMode(maxHeightMode);
+  if (heightModes.has(name)) {
+    return heightModes.get(name)(element, ...args);
   } else if (maxHeightMode.endsWith("%")) {
     // make it so the element is at most a % of the screen height
-    let viewportHeight = Math.max(document.documentElement.clientHeight, window.innerHeight || 0);
-    let scrollHeight = Math.ceil(element.scrollHeight);
+    let viewportHeight = vertical
+      ? Math.max(document.documentElement.clientWidth, window.innerWidth || 0)
+      : Math.max(document.documentElement.clientHeight, window.innerHeight || 0);
+    let scrollHeight = Math.ceil(getScrollBlockSize(element));
     element.dataset.calculatedScrollHeight = scrollHeight;
-    if (scrollHeight > Math.ceil(viewportHeight * parseFloat(maxHeightMode.replace("%", "")) / 100)) {
-      return true
-    }
-    return false
+    return {
+      measured: scrollHeight,
+      allowed: Math.ceil(viewportHeight * parseFloat(maxHeightMode.replace("%", "")) / 100),
+    };
   } else if (!isNaN(maxHeightMode)) {
     // assume it is a number and use it as the max height
-    let scrollHeight = Math.ceil(element.scrollHeight);
+    let scrollHeight = Math.ceil(getScrollBlockSize(element));
     element.dataset.calculatedScrollHeight = scrollHeight;
-    if (scrollHeight > Math.ceil(maxHeightMode)) {
-      return true
+    return { measured: scrollHeight, allowed: Math.ceil(maxHeightMode) };
+  }
+  if (!warnedHeightModes.has(maxHeightMode)) {
+    warnedHeightModes.add(maxHeightMode);
+    console.warn(element, `Unknown max-height mode "${maxHeightMode}". Register it with TextFit.registerHeightMode`);
+  }
+  return undefined;
+};
+
+/**
+ * Checks if the element takes up more space than the max height mode allows.
+ * @param {HTMLElement} element - The element to check.
+ * @param {string} maxHeightMode - The max height mode. See measureOverflow for the supported values.
+ * @returns {boolean} - True if the element is overflowing. Modes that can't be measured, or are unknown, never overflow.
+ */
+export const checkOverflow = (element, maxHeightMode) => {
+  const measurement = measureOverflow(element, maxHeightMode);
+  return Boolean(measurement && measurement.measured > measurement.allowed);
+};
+
+/**
+ * The unknown max width modes that have already been warned about.
+ * @type {Set<string>}
+ */
+const warnedWidthModes = new Set();
+
+/**
+ * Measures how wide the content is compared to the width allowed by a max width mode. Long words, URLs and codes that can't wrap
+ * make the content wider than its element. For vertical text the width is the height as that is the direction text flows in.
+ * @param {HTMLElement} element - The element to measure.
+ * @param {string} maxWidthMode - One of `parent`, `outerbox`, `self`, `css`, a % of the viewport width or a number of pixels.
+ * @returns {OverflowMeasurement|undefined} - The measured and allowed values or undefined if the mode is unknown or can't be measured. Unknown modes log a warning.
+ */
+export const measureWidthOverflow = (element, maxWidthMode) => {
+  const vertical = isVertical(element);
+  if (maxWidthMode === "outerbox") {
+    // Check how far the content reaches past either side of its parent's bounding box. Nothing past the sides is allowed
+    const parent = getLayoutParent(element);
+    if (!parent) return undefined;
+    const rect = getRect(element);
+    const parentRect = getRect(parent);
+    const content = getContentInlineBounds(element, vertical);
+    const start = Math.min(vertical ? rect.top : rect.left, content.start);
+    const end = Math.max(vertical ? rect.bottom : rect.right, content.end);
+    return {
+      measured: Math.ceil(Math.max(0, (vertical ? parentRect.top : parentRect.left) - start, end - (vertical ? parentRect.bottom : parentRect.right))),
+      allowed: 0,
+    };
+  } else if (maxWidthMode === "parent") {
+    // Check if the content is wider than its parent
+    const parent = getLayoutParent(element);
+    if (!parent) return undefined;
+    return { measured: Math.ceil(getScrollInlineSize(element)), allowed: Math.ceil(getInlineSize(parent, vertical)) };
+  } else if (maxWidthMode === "self") {
+    // Check if the content is wider than the element
+    return { measured: Math.ceil(getScrollInlineSize(element)), allowed: Math.ceil(getInlineSize(element, vertical)) };
+  } else if (maxWidthMode === "css") {
+    // Check that the content is not wider than the css max width set on the element
+    const computedStyle = window.getComputedStyle(element);
+    const maxWidth = parseFloat(vertical ? computedStyle.maxHeight : computedStyle.maxWidth);
+    if (!maxWidth) {
+      console.warn(
+        element,
+        "There needs to be a max width set on the element if you want to use a CSS mode limiter"
+      );
     }
-    return false
+    return { measured: Math.ceil(getScrollInlineSize(element)), allowed: Math.ceil(maxWidth) };
+  } else if (maxWidthMode.endsWith("%")) {
+    // make it so the content is at most a % of the screen width
+    const viewportWidth = vertical
+      ? Math.max(document.documentElement.clientHeight, window.innerHeight || 0)
+      : Math.max(document.documentElement.clientWidth, window.innerWidth || 0);
+    return {
+      measured: Math.ceil(getScrollInlineSize(element)),
+      allowed: Math.ceil(viewportWidth * parseFloat(maxWidthMode.replace("%", "")) / 100),
+    };
+  } else if (!isNaN(maxWidthMode)) {
+    // assume it is a number and use it as the max width
+    return { measured: Math.ceil(getScrollInlineSize(element)), allowed: Math.ceil(maxWidthMode) };
+  }
+  if (!warnedWidthModes.has(maxWidthMode)) {
+    warnedWidthModes.add(maxWidthMode);
+    console.warn(element, `Unknown max-width mode "${maxWidthMode}"`);
   }
-}
\ No newline at end of file
+  return undefined;
+};
+
+/**
+ * Checks if the content is wider than the max width mode allows.
+ * @param {HTMLElement} element - The element to check.
+ * @param {string} maxWidthMode - The max width mode. See measureWidthOverflow for the supported values.
+ * @returns {boolean} - True if the content is too wide.
+ */
+export const checkWidthOverflow = (element, maxWidthMode) => {
+  const measurement = measureWidthOverflow(element, maxWidthMode);
+  return Boolean(measurement && measurement.measured > measurement.allowed);
+};
+
+/**
+ * Fits the element inside the closest ancestor that matches a selector, like `max-height="closest(.card)"`.
+ * The content overflows when its block end goes past the block end of the ancestor's content box.
+ * It is added straight to the modes as it is built in and registerHeightMode won't replace built in modes.
+ */
+heightModes.set("closest", (element, selector) => {
+  const ancestor = composedClosest(getLayoutParent(element), selector);
+  if (!ancestor) return undefined;
+  const writingMode = getWritingMode(element);
+  const rect = getRect(element);
+  const scrollSize = getScrollBlockSize(element);
+  const style = window.getComputedStyle(ancestor);
+  // the content ends where its scrollable size ends, and the padding and border at the block end of the ancestor can't be used
+  const { measured, inset } = {
+    horizontal: {
+      measured: rect.top + scrollSize,
+      inset: parseFloat(style.paddingBottom) + parseFloat(style.borderBottomWidth),
+    },
+    "vertical-rl": {
+      measured: -(rect.right - scrollSize),
+      inset: parseFloat(style.paddingLeft) + parseFloat(style.borderLeftWidth),
+    },
+    "vertical-lr": {
+      measured: rect.left + scrollSize,
+      inset: parseFloat(style.paddingRight) + parseFloat(style.borderRightWidth),
+    },
+  }[writingMode];
+  return {
+    measured: Math.ceil(measured),
+    allowed: Math.floor(getBlockEnd(getRect(ancestor), writingMode) - inset),
+  };
+});